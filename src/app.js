@@ -8,11 +8,11 @@ const swaggerSpec = require('./config/swagger');
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const FlowSureEventListener = require('./services/eventListener');
-const schedulerService = require('./services/schedulerService');
 const eventMonitor = require('./services/eventMonitor');
+const { EVENT_NAMES, handleScheduledTransferEvent } = require('./services/flowScheduledEventService');
 const websocketServer = require('./services/websocketServer');
-const scheduledTransferCron = require('./services/scheduledTransferCron');
-const flowSchedulerCron = require('./services/flowSchedulerCron');
+const workerRegistry = require('./services/workerRegistry');
+const { assertSessionConfig } = require('./services/sessionService');
 
 const frothRoutes = require('./routes/froth');
 const dapperRoutes = require('./routes/dapper');
@@ -21,6 +21,8 @@ const transactionRoutes = require('./routes/transactions');
 const nbaTopShotRoutes = require('./routes/nbaTopShot');
 const scheduledTransfersRoutes = require('./routes/scheduledTransfers');
 const recipientListsRoutes = require('./routes/recipientLists');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -48,7 +50,9 @@ app.get('/', (req, res) => {
       metrics: '/api/metrics',
       transactions: '/api/transactions',
       scheduledTransfers: '/api/scheduled-transfers',
-      recipientLists: '/api/recipient-lists'
+      recipientLists: '/api/recipient-lists',
+      auth: '/api/auth',
+      admin: '/api/admin'
     }
   });
 });
@@ -65,11 +69,14 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/nba-topshot', nbaTopShotRoutes);
 app.use('/api/scheduled-transfers', scheduledTransfersRoutes);
 app.use('/api/recipient-lists', recipientListsRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use(errorHandler);
 
 const startServer = async () => {
   try {
+    assertSessionConfig();
     await connectDB();
     
     const server = app.listen(PORT, () => {
@@ -80,21 +87,13 @@ const startServer = async () => {
     // Initialize WebSocket server
     websocketServer.initialize(server);
     
-    // Start event monitoring
-    await eventMonitor.start();
-    console.log('Event monitor started');
-    
-    // Start scheduler service
-    await schedulerService.start();
-    console.log('Scheduler service started');
-    
-    // Start scheduled transfer cron job
-    scheduledTransferCron.start();
-    console.log('Scheduled transfer cron job started');
+    // Record executions and cancellations of Flow-native scheduled transfers
+    EVENT_NAMES.forEach(eventName => {
+      eventMonitor.on(eventName, (eventData, event) => handleScheduledTransferEvent(event));
+    });
     
-    // Start Flow scheduler monitor
-    flowSchedulerCron.startFlowSchedulerMonitor();
-    console.log('Flow scheduler monitor started');
+    // Start every background worker (event monitor, schedulers, crons)
+    await workerRegistry.startAll();
     
     // Legacy event listener (keep for compatibility)
     const eventListener = new FlowSureEventListener();
@@ -114,25 +113,15 @@ const startServer = async () => {
       websocketServer.broadcastEvent('frothStaked', event.data);
     });
     
-    process.on('SIGTERM', () => {
-      console.log('SIGTERM received, shutting down gracefully');
+    const shutdown = (signal) => {
+      console.log(`${signal} received, shutting down gracefully`);
       eventListener.stop();
-      eventMonitor.stop();
-      schedulerService.stop();
-      scheduledTransferCron.stop();
-      flowSchedulerCron.stopFlowSchedulerMonitor();
+      workerRegistry.stopAll();
       process.exit(0);
-    });
+    };
     
-    process.on('SIGINT', () => {
-      console.log('SIGINT received, shutting down gracefully');
-      eventListener.stop();
-      eventMonitor.stop();
-      schedulerService.stop();
-      scheduledTransferCron.stop();
-      flowSchedulerCron.stopFlowSchedulerMonitor();
-      process.exit(0);
-    });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fcl = require('@onflow/fcl');
+
+const parseList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Wallets with the admin role (comma-separated ADMIN_ADDRESSES)
+const adminAddresses = new Set(
+  parseList(process.env.ADMIN_ADDRESSES).map(address => fcl.withPrefix(fcl.sansPrefix(address.toLowerCase())))
+);
+
+// Operator API keys for scripts and dashboards (comma-separated ADMIN_API_KEYS)
+const adminApiKeys = parseList(process.env.ADMIN_API_KEYS);
+
+/**
+ * Check whether a normalized Flow address has the admin role
+ */
+const isAdminAddress = (address) => {
+  return !!address && adminAddresses.has(address);
+};
+
+/**
+ * Check an operator API key using a constant-time comparison
+ */
+const isAdminApiKey = (apiKey) => {
+  if (!apiKey) {
+    return false;
+  }
+
+  const candidate = Buffer.from(apiKey);
+  return adminApiKeys.some(key => {
+    const expected = Buffer.from(key);
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+  });
+};
+
+module.exports = {
+  isAdminAddress,
+  isAdminApiKey
+};
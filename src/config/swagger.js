@@ -26,11 +26,58 @@ const options = {
         name: 'Dapper',
         description: 'Dapper NFT asset protection',
       },
+      {
+        name: 'Transactions',
+        description: 'Tracking of transactions signed by user wallets',
+      },
       {
         name: 'Metrics',
         description: 'Platform metrics and statistics',
       },
     ],
+    components: {
+      securitySchemes: {
+        sessionToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Access token from POST /api/auth/login',
+        },
+        walletSignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-wallet-signature',
+          description: 'CompositeSignature array or FCL account proof, sent with x-wallet-address (and x-wallet-nonce / x-wallet-timestamp for user signatures)',
+        },
+      },
+      schemas: {
+        UnsignedTransaction: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', example: 'unsigned' },
+            transaction: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', example: 'stake' },
+                signer: { type: 'string', example: '0x8401ed4fc6788c8a' },
+                cadence: { type: 'string' },
+                args: {
+                  type: 'array',
+                  description: 'JSON-Cadence encoded arguments',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', example: 'UFix64' },
+                      value: { type: 'string', example: '100.00000000' },
+                    },
+                  },
+                },
+                limit: { type: 'number', example: 999 },
+              },
+            },
+          },
+        },
+      },
+    },
   },
   apis: ['./src/routes/*.js'],
 };
@@ -0,0 +1,141 @@
+/**
+ * Fungible tokens scheduled transfers can move
+ *
+ * Every token gets its own ScheduledTransfer.TransferAuthorization, created from a withdraw
+ * capability on the token's vault and published at the token's authorization path (see
+ * getAuthorizationPaths), so the backend is authorized (and capped) per token. FLOW keeps the
+ * original authorization paths.
+ * Amounts are UFix64 on chain; decimals is the precision the token itself accepts.
+ *
+ * FLOW is always available. Other tokens are only enabled once their contract address and the
+ * vault, receiver and balance paths of the deployed contract are configured, e.g. USDC_TOKEN_ADDRESS,
+ * USDC_VAULT_STORAGE_PATH, USDC_RECEIVER_PATH and USDC_BALANCE_PATH. The paths must be the
+ * contract's own storage / public paths, the backend does not guess them.
+ */
+
+const FUNGIBLE_TOKEN_ADDRESS = '0x9a0766d93b6608b7';
+
+const DEFAULT_TOKEN = 'FLOW';
+
+const FLOW_TOKEN = {
+  symbol: 'FLOW',
+  name: 'Flow',
+  contractName: 'FlowToken',
+  contractAddress: '0x7e60df042a9c0868',
+  decimals: 8,
+  vaultStoragePath: '/storage/flowTokenVault',
+  receiverPath: '/public/flowTokenReceiver',
+  balancePath: '/public/flowTokenBalance'
+};
+
+// Tokens that can be enabled through the environment, keyed by the env prefix
+const CONFIGURABLE_TOKENS = [
+  { symbol: 'FROTH', name: 'Froth', contractName: 'FrothToken', decimals: 8 },
+  { symbol: 'USDC', name: 'USD Coin', contractName: 'USDCFlow', decimals: 6 }
+];
+
+const PATH_SETTINGS = [
+  { key: 'vaultStoragePath', suffix: 'VAULT_STORAGE_PATH', domain: 'storage' },
+  { key: 'receiverPath', suffix: 'RECEIVER_PATH', domain: 'public' },
+  { key: 'balancePath', suffix: 'BALANCE_PATH', domain: 'public' }
+];
+
+/**
+ * Registry entry of a configurable token, or null when it is not configured
+ * A token with an address but missing or malformed paths is a configuration error
+ */
+const loadConfiguredToken = (token, env = process.env) => {
+  const contractAddress = env[`${token.symbol}_TOKEN_ADDRESS`];
+  if (!contractAddress) {
+    return null;
+  }
+
+  const paths = {};
+  for (const { key, suffix, domain } of PATH_SETTINGS) {
+    const name = `${token.symbol}_${suffix}`;
+    const value = env[name];
+
+    if (!value || !new RegExp(`^/${domain}/[A-Za-z_][A-Za-z0-9_]*$`).test(value)) {
+      throw new Error(`${name} must be set to the /${domain}/ path of the deployed ${token.contractName} contract when ${token.symbol}_TOKEN_ADDRESS is set`);
+    }
+
+    paths[key] = value;
+  }
+
+  return { ...token, contractAddress, ...paths };
+};
+
+const TOKENS = CONFIGURABLE_TOKENS.reduce((tokens, token) => {
+  const configured = loadConfiguredToken(token);
+  if (configured) {
+    tokens[configured.symbol] = configured;
+  }
+  return tokens;
+}, { FLOW: FLOW_TOKEN });
+
+const TOKEN_SYMBOLS = Object.keys(TOKENS);
+
+const isSupportedToken = (symbol) => typeof symbol === 'string' && TOKEN_SYMBOLS.includes(symbol.toUpperCase());
+
+/**
+ * Look up a token by symbol (case-insensitive), throwing a 400 for unknown tokens
+ */
+const getToken = (symbol = DEFAULT_TOKEN) => {
+  const token = typeof symbol === 'string' ? TOKENS[symbol.toUpperCase()] : null;
+
+  if (!token) {
+    const error = new Error(`Unsupported token: ${symbol}. Must be one of: ${TOKEN_SYMBOLS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return token;
+};
+
+/**
+ * Storage and public paths of the backend authorization of a token and of the policy
+ * (expiry, spend limits, allowed recipients) the user signed with it
+ */
+const getAuthorizationPaths = (symbol = DEFAULT_TOKEN) => {
+  const token = getToken(symbol);
+  const suffix = token.symbol === DEFAULT_TOKEN ? '' : `_${token.symbol}`;
+
+  return {
+    authorizationStoragePath: `/storage/scheduledTransferAuth${suffix}`,
+    authorizationPublicPath: `/public/scheduledTransferAuth${suffix}`,
+    limitsStoragePath: `/storage/scheduledTransferLimits${suffix}`,
+    limitsPublicPath: `/public/scheduledTransferLimits${suffix}`,
+    recipientsStoragePath: `/storage/scheduledTransferRecipients${suffix}`,
+    recipientsPublicPath: `/public/scheduledTransferRecipients${suffix}`
+  };
+};
+
+/**
+ * Query condition for transfers of a token
+ * Transfers created before tokens were supported have no token and move FLOW
+ */
+const tokenQuery = (symbol = DEFAULT_TOKEN) => {
+  const token = getToken(symbol);
+  return token.symbol === DEFAULT_TOKEN ? { $in: [DEFAULT_TOKEN, null] } : token.symbol;
+};
+
+/**
+ * Whether an amount fits the token's precision, e.g. USDC accepts at most 6 decimal places
+ */
+const hasValidPrecision = (amount, symbol = DEFAULT_TOKEN) => {
+  const { decimals } = getToken(symbol);
+
+  return Number.isFinite(amount) && Number(amount.toFixed(decimals)) === amount;
+};
+
+module.exports = {
+  TOKENS,
+  TOKEN_SYMBOLS,
+  DEFAULT_TOKEN,
+  FUNGIBLE_TOKEN_ADDRESS,
+  isSupportedToken,
+  getToken,
+  getAuthorizationPaths,
+  tokenQuery,
+  hasValidPrecision
+};
@@ -1,4 +1,50 @@
+const {
+  normalizeAddress,
+  parseSignatureHeader,
+  consumeNonce,
+  verifyUserSignature,
+  verifyAccountProof
+} = require('../services/walletAuthService');
+const { verifyAccessToken, consumeChallenge } = require('../services/sessionService');
+const { isAdminAddress, isAdminApiKey } = require('../config/admin');
+
+const withRole = (user) => ({
+  ...user,
+  role: isAdminAddress(user.address) ? 'admin' : 'user'
+});
+
+/**
+ * Authenticate a request with a session token or a wallet signature.
+ *
+ * A session token from /api/auth/login is sent as `Authorization: Bearer <accessToken>`.
+ * Otherwise the request must be signed by the wallet.
+ *
+ * Headers:
+ * - x-wallet-address: Flow address of the caller
+ * - x-wallet-signature: JSON (or base64 JSON) of either the CompositeSignature array returned by
+ *   fcl.currentUser.signUserMessage, or an FCL account proof ({ address, nonce, signatures })
+ *   whose nonce is an unused challenge from /api/auth/challenge
+ * - x-wallet-nonce / x-wallet-timestamp: required for user signatures, see buildAuthMessage
+ *
+ * On success the verified address is bound to req.user.
+ */
 const authenticateWallet = async (req, res, next) => {
+  const authorization = req.headers.authorization;
+
+  if (authorization && authorization.startsWith('Bearer ')) {
+    try {
+      const session = await verifyAccessToken(authorization.slice('Bearer '.length).trim());
+      if (!session) {
+        return res.status(401).json({ error: 'Session token is invalid or expired' });
+      }
+
+      req.user = withRole(session);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
   const signature = req.headers['x-wallet-signature'];
   const address = req.headers['x-wallet-address'];
 
@@ -6,7 +52,74 @@ const authenticateWallet = async (req, res, next) => {
     return res.status(401).json({ error: 'Wallet authentication required' });
   }
 
-  next();
+  const parsed = parseSignatureHeader(signature);
+  if (!parsed) {
+    return res.status(401).json({ error: 'Malformed wallet signature' });
+  }
+
+  try {
+    const result = Array.isArray(parsed)
+      ? await verifyUserSignature({
+        address,
+        nonce: req.headers['x-wallet-nonce'],
+        timestamp: req.headers['x-wallet-timestamp'],
+        signatures: parsed
+      })
+      : await verifyAccountProof(parsed);
+
+    if (!result.isValid) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    if (result.address !== normalizeAddress(address)) {
+      return res.status(401).json({ error: 'Signature does not match wallet address' });
+    }
+
+    // Account proofs carry no timestamp, so their nonce must be a live challenge from /api/auth/challenge
+    const isFresh = Array.isArray(parsed)
+      ? await consumeNonce(result.address, result.nonce)
+      : await consumeChallenge(result.nonce);
+    if (!isFresh) {
+      return res.status(401).json({
+        error: Array.isArray(parsed) ? 'Nonce has already been used' : 'Account proof nonce was not issued by /api/auth/challenge, has expired or was already used'
+      });
+    }
+
+    req.user = withRole({ address: result.address });
+    next();
+  } catch (error) {
+    console.error('Wallet authentication error:', error.message);
+    return res.status(401).json({ error: 'Wallet signature verification failed' });
+  }
+};
+
+/**
+ * Require the admin role, either through an operator API key (x-admin-api-key)
+ * or an authenticated wallet listed in ADMIN_ADDRESSES
+ */
+const requireAdmin = (req, res, next) => {
+  const apiKey = req.headers['x-admin-api-key'];
+
+  if (apiKey) {
+    if (!isAdminApiKey(apiKey)) {
+      return res.status(401).json({ error: 'Invalid admin API key' });
+    }
+
+    req.user = { address: null, role: 'admin', viaApiKey: true };
+    return next();
+  }
+
+  authenticateWallet(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin role required' });
+    }
+
+    next();
+  });
 };
 
-module.exports = { authenticateWallet };
+module.exports = { authenticateWallet, requireAdmin };
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { normalizeAddress } = require('../services/walletAuthService');
+
+/**
+ * Check whether the authenticated wallet owns a document with a userAddress field
+ */
+const isOwner = (req, doc) => {
+  return !!req.user && !!doc && normalizeAddress(doc.userAddress) === req.user.address;
+};
+
+/**
+ * Load a document by route param and make sure it belongs to the authenticated wallet.
+ * Must run after authenticateWallet. The loaded document is attached to req.resource.
+ */
+const requireOwnership = (Model, { param = 'id', resourceName = 'Resource' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const id = req.params[param];
+
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: `${resourceName} not found` });
+      }
+
+      const doc = await Model.findById(id);
+
+      if (!doc) {
+        return res.status(404).json({ error: `${resourceName} not found` });
+      }
+
+      if (!isOwner(req, doc)) {
+        return res.status(403).json({ error: `You do not have access to this ${resourceName.toLowerCase()}` });
+      }
+
+      req.resource = doc;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Make sure the userAddress in the request body is present and matches the authenticated wallet
+ */
+const requireSelf = (field = 'userAddress') => {
+  return (req, res, next) => {
+    const address = req.body[field];
+
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ error: `${field} is required` });
+    }
+
+    if (normalizeAddress(address) !== req.user.address) {
+      return res.status(403).json({ error: `${field} must match the authenticated wallet` });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Make sure the wallet address in a route param matches the authenticated wallet.
+ * Must run after authenticateWallet.
+ */
+const requireSelfParam = (param = 'userAddress') => {
+  return (req, res, next) => {
+    if (normalizeAddress(req.params[param]) !== req.user.address) {
+      return res.status(403).json({ error: 'You do not have access to the data of this wallet' });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  isOwner,
+  requireOwnership,
+  requireSelf,
+  requireSelfParam
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const authChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Unused challenges are purged once they expire
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
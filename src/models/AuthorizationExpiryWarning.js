@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One warning per authorization expiry, so a wallet is warned once per authorization it signs
+const authorizationExpiryWarningSchema = new mongoose.Schema({
+  userAddress: {
+    type: String,
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Pending transfers scheduled at or after the expiry when the warning was sent
+  affectedTransfers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledTransfer'
+  }]
+}, {
+  timestamps: true
+});
+
+authorizationExpiryWarningSchema.index({ userAddress: 1, token: 1, expiresAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuthorizationExpiryWarning', authorizationExpiryWarningSchema);
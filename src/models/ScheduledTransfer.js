@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, formatLocal } = require('../services/timeZoneService');
+const { DEFAULT_TOKEN, TOKEN_SYMBOLS } = require('../config/tokens');
 
 const scheduledTransferSchema = new mongoose.Schema({
   userAddress: {
@@ -24,7 +26,9 @@ const scheduledTransferSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    name: String
+    name: String,
+    // Overrides the transfer amount for this recipient
+    amount: Number
   }],
   recipientListId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,14 +42,29 @@ const scheduledTransferSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Symbol of the fungible token transferred, from the token registry (src/config/tokens.js)
+  token: {
+    type: String,
+    default: DEFAULT_TOKEN,
+    enum: TOKEN_SYMBOLS
+  },
   scheduledDate: {
     type: Date,
     required: true,
     index: true
   },
+  // IANA time zone of the user; recurrence and calendar queries follow its wall clock
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
   status: {
     type: String,
-    enum: ['scheduled', 'executing', 'completed', 'failed', 'cancelled'],
+    enum: ['scheduled', 'paused', 'executing', 'completed', 'partially_completed', 'failed', 'insufficient_funds', 'skipped', 'cancelling', 'cancelled'],
     default: 'scheduled',
     index: true
   },
@@ -57,6 +76,33 @@ const scheduledTransferSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  retryPolicy: {
+    strategy: {
+      type: String,
+      enum: ['fixed', 'linear', 'exponential'],
+      default: 'fixed'
+    },
+    baseDelaySeconds: {
+      type: Number,
+      default: 300
+    },
+    maxDelaySeconds: {
+      type: Number,
+      default: 3600
+    },
+    jitter: {
+      type: Boolean,
+      default: false
+    }
+  },
+  retryHistory: [{
+    attempt: Number,
+    error: String,
+    retryable: Boolean,
+    reason: String,
+    attemptedAt: Date,
+    nextAttemptAt: Date
+  }],
   executedAt: {
     type: Date
   },
@@ -64,47 +110,170 @@ const scheduledTransferSchema = new mongoose.Schema({
     type: String
   },
   transactionIds: [{
+    // Position of the payment in the transfer's recipients, the same address can appear more than once
+    recipientIndex: Number,
     recipient: String,
+    amount: Number,
     transactionId: String,
     status: String,
-    error: String
+    error: String,
+    // When the transaction was sent; pending payments count against the limits from then
+    submittedAt: Date,
+    // When the payment was sealed; counts against the authorization's daily and monthly limits
+    paidAt: Date
   }],
   errorMessage: {
     type: String
   },
+  // Why the transfer ended up in the dead-letter queue (failed / partially_completed)
+  failureReason: {
+    type: String
+  },
   executionMethod: {
     type: String,
     enum: ['backend', 'flow_native'],
     default: 'backend'
   },
+  // Id FlowTransactionScheduler assigned to a Flow-native transfer
+  scheduledTxId: {
+    type: String,
+    sparse: true,
+    unique: true
+  },
+  // Priority, execution effort and fee a Flow-native transfer was scheduled with
+  schedulePriority: {
+    type: String,
+    enum: ['High', 'Medium', 'Low']
+  },
+  executionEffort: {
+    type: Number
+  },
+  schedulingFee: {
+    type: Number
+  },
+  // Transaction FlowTransactionScheduler ran a Flow-native transfer in, and its block
+  executionTransactionId: {
+    type: String
+  },
+  executionBlockHeight: {
+    type: Number
+  },
+  // When a Flow-native transfer that did not execute on time was switched to backend execution
+  fallbackAt: {
+    type: Date
+  },
+  // Why a missed Flow-native transfer could not fall back to backend execution
+  fallbackError: {
+    type: String
+  },
+  // Transaction the user signed to cancel a Flow-native transfer on chain
+  cancelTransactionId: {
+    type: String
+  },
+  cancelRequestedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Scheduling fee FlowTransactionScheduler refunded when the transfer was cancelled
+  refundedFee: {
+    type: Number
+  },
   isRecurring: {
     type: Boolean,
     default: false
   },
   recurringFrequency: {
     type: String,
-    enum: ['daily', 'weekly', 'monthly'],
+    enum: ['daily', 'weekly', 'biweekly', 'semimonthly', 'monthly', 'quarterly', 'last_business_day', 'custom'],
     required: function() {
       return this.isRecurring;
     }
   },
+  // RRULE subset used when recurringFrequency is 'custom', e.g. FREQ=MONTHLY;BYMONTHDAY=1,15
+  recurrenceRule: {
+    type: String,
+    required: function() {
+      return this.isRecurring && this.recurringFrequency === 'custom';
+    }
+  },
   recurringEndDate: {
     type: Date
   },
+  // End the series after this many occurrences
+  recurringCount: {
+    type: Number
+  },
+  // What happens to occurrences missed while the backend was down or a previous instance failed
+  // (set on the recurring parent, run_all when unset)
+  catchUpPolicy: {
+    type: String,
+    enum: ['run_all', 'latest_only', 'skip_missed']
+  },
+  // Instances generated so far (set on the recurring parent)
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
   parentRecurringId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ScheduledTransfer'
   },
   nextScheduledDate: {
     type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  // Occurrences of a recurring series that were not paid (set on the recurring parent)
+  skippedOccurrences: [{
+    date: Date,
+    reason: {
+      type: String,
+      enum: ['skipped_by_user', 'paused', 'missed']
+    },
+    instanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledTransfer'
+    },
+    skippedAt: Date
+  }],
+  // Lease held by the backend instance executing this transfer
+  lockOwner: {
+    type: String
+  },
+  lockExpiresAt: {
+    type: Date
+  },
+  // Set while a transaction is being sent, before its id is known
+  submissionStartedAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true }
+});
+
+// Dates in the transfer's time zone, alongside the UTC dates
+scheduledTransferSchema.virtual('localTimes').get(function() {
+  const timeZone = this.timeZone || DEFAULT_TIME_ZONE;
+
+  return {
+    timeZone,
+    scheduledDate: formatLocal(this.scheduledDate, timeZone),
+    executedAt: formatLocal(this.executedAt, timeZone),
+    nextScheduledDate: formatLocal(this.nextScheduledDate, timeZone),
+    recurringEndDate: formatLocal(this.recurringEndDate, timeZone)
+  };
 });
 
 // Compound indexes for efficient queries
 scheduledTransferSchema.index({ userAddress: 1, scheduledDate: -1 });
 scheduledTransferSchema.index({ status: 1, scheduledDate: 1 });
 scheduledTransferSchema.index({ userAddress: 1, status: 1 });
+scheduledTransferSchema.index({ status: 1, lockExpiresAt: 1 });
+scheduledTransferSchema.index({ status: 1, executedAt: -1 });
 
 module.exports = mongoose.model('ScheduledTransfer', scheduledTransferSchema);
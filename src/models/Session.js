@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ address: 1, revokedAt: 1 });
+// Sessions are purged once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A Flow transaction the backend follows through pending → finalized → executed → sealed/expired
+const trackedTransactionSchema = new mongoose.Schema({
+  txId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Transaction builder type, e.g. 'stake' or 'protect_dapper_asset', or 'scheduled_transfer' for backend payments
+  type: {
+    type: String,
+    required: true
+  },
+  userAddress: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Parameters the transaction was built with
+  params: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'finalized', 'executed', 'sealed', 'expired'],
+    default: 'pending',
+    index: true
+  },
+  events: [{
+    type: {
+      type: String
+    },
+    eventIndex: Number,
+    data: mongoose.Schema.Types.Mixed
+  }],
+  // Flow status code of the executed transaction, 0 on success
+  statusCode: {
+    type: Number
+  },
+  // Execution error, or why tracking gave up on an expired transaction
+  errorMessage: {
+    type: String
+  },
+  finalizedAt: {
+    type: Date
+  },
+  executedAt: {
+    type: Date
+  },
+  sealedAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  // When the sealed result was applied to Staker / ProtectedAsset
+  effectsAppliedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TrackedTransaction', trackedTransactionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const transferAuditLogSchema = new mongoose.Schema({
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledTransfer',
+    required: true,
+    index: true
+  },
+  userAddress: {
+    type: String,
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['replay', 'bulk_replay'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['requeued', 'rejected'],
+    required: true
+  },
+  // Wallet address of the caller, or 'api-key' for admin API keys
+  actor: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  previousStatus: {
+    type: String
+  },
+  previousError: {
+    type: String
+  },
+  reason: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+transferAuditLogSchema.index({ transferId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TransferAuditLog', transferAuditLogSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const walletNonceSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A nonce can only be used once per address
+walletNonceSchema.index({ address: 1, nonce: 1 }, { unique: true });
+// Let MongoDB purge nonces once they can no longer be replayed
+walletNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WalletNonce', walletNonceSchema);
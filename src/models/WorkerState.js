@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Operator state of a background worker, shared by every backend instance
+const workerStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedAt: {
+    type: Date
+  },
+  // Admin wallet address, or 'api-key'
+  pausedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WorkerState', workerStateSchema);
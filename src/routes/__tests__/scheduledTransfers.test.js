@@ -0,0 +1,53 @@
+const express = require('express');
+const scheduledTransfersRouter = require('../scheduledTransfers');
+
+describe('scheduled transfer routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    process.env.FLOW_SERVICE_ACCOUNT_ADDRESS = '0xf8d6e0586b0a20c7';
+
+    const app = express();
+    app.use('/api/scheduled-transfers', scheduledTransfersRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/scheduled-transfers`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('GET /authorization-transaction returns every argument as JSON-Cadence', async () => {
+    const query = 'maxAmount=10&expiryDays=30&dailyLimit=25&monthlyLimit=100&allowedRecipients=0x01cf0e2f2f715450,0x179b6b1cb6755e31';
+    const response = await fetch(`${baseUrl}/authorization-transaction?${query}`);
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.cadence).toContain('transaction(maxAmountPerTransfer: UFix64, serviceAccount: Address, expiresAt: UFix64');
+    expect(data.args).toEqual([
+      { type: 'UFix64', value: '10.00000000' },
+      { type: 'Address', value: '0xf8d6e0586b0a20c7' },
+      { type: 'UFix64', value: (new Date(data.expiresAt).getTime() / 1000).toFixed(8) },
+      { type: 'UFix64', value: '25.00000000' },
+      { type: 'UFix64', value: '100.00000000' },
+      {
+        type: 'Array',
+        value: [
+          { type: 'Address', value: '0x01cf0e2f2f715450' },
+          { type: 'Address', value: '0x179b6b1cb6755e31' }
+        ]
+      }
+    ]);
+  });
+
+  test('GET /revoke-authorization-transaction returns its (empty) arguments', async () => {
+    const response = await fetch(`${baseUrl}/revoke-authorization-transaction`);
+    const { data } = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.args).toEqual([]);
+  });
+});
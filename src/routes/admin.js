@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const workerRegistry = require('../services/workerRegistry');
+const websocketServer = require('../services/websocketServer');
+const autoCompoundService = require('../services/autoCompoundService');
+const { processDueTransfers, reconcileStaleTransfers, getScheduledTransferStats } = require('../services/scheduledTransferService');
+const { getFailedTransfers, replayTransferById, replayFailedTransfers } = require('../services/transferReplayService');
+const { superviseRecurringSeries } = require('../services/recurringTransferService');
+
+router.use(requireAdmin);
+
+// Get the status of every background worker
+router.get('/workers', async (req, res, next) => {
+  try {
+    res.json({
+      data: await workerRegistry.getAllStatuses()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the status of a single worker
+router.get('/workers/:name', async (req, res, next) => {
+  try {
+    res.json({
+      data: await workerRegistry.getStatus(req.params.name)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pause a background worker
+router.post('/workers/:name/pause', async (req, res, next) => {
+  try {
+    const status = await workerRegistry.pause(req.params.name, req.user.address || 'api-key');
+
+    res.json({
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resume a paused background worker
+router.post('/workers/:name/resume', async (req, res, next) => {
+  try {
+    const status = await workerRegistry.resume(req.params.name);
+
+    res.json({
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run the due scheduled transfer check now
+router.post('/scheduled-transfers/process-due', async (req, res, next) => {
+  try {
+    const result = await processDueTransfers();
+
+    res.json({
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reconcile transfers stuck in executing now
+router.post('/scheduled-transfers/reconcile', async (req, res, next) => {
+  try {
+    const results = await reconcileStaleTransfers();
+
+    res.json({
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Catch up recurring series now
+router.post('/recurring-series/supervise', async (req, res, next) => {
+  try {
+    const results = await superviseRecurringSeries();
+
+    res.json({
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dead-letter queue across all users
+router.get('/scheduled-transfers/failed', async (req, res, next) => {
+  try {
+    const { userAddress, status, reason, failedFrom, failedTo, limit, offset } = req.query;
+
+    const result = await getFailedTransfers(
+      { userAddress, status, reason, failedFrom, failedTo },
+      { limit, offset }
+    );
+
+    res.json({
+      data: result.transfers,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay every transfer that failed inside an outage window
+router.post('/scheduled-transfers/replay', async (req, res, next) => {
+  try {
+    const { failedFrom, failedTo, userAddress, reason, dryRun, note } = req.body;
+
+    const result = await replayFailedTransfers(
+      { failedFrom, failedTo, userAddress, reason, dryRun: dryRun === true },
+      req.user,
+      { note }
+    );
+
+    res.json({
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay a single failed scheduled transfer
+// Transfers interrupted while submitting need confirmNotSubmitted: true once the service account
+// transactions were checked on chain for a payment that went through
+router.post('/scheduled-transfers/:id/replay', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({
+        error: 'Scheduled transfer not found'
+      });
+    }
+
+    const transfer = await replayTransferById(id, req.user, {
+      reason: req.body.note,
+      confirmedNotSubmitted: req.body.confirmNotSubmitted === true
+    });
+
+    res.json({
+      data: transfer
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Platform-wide statistics
+router.get('/stats', async (req, res, next) => {
+  try {
+    const [scheduledTransfers, autoCompound] = await Promise.all([
+      getScheduledTransferStats(),
+      autoCompoundService.getGlobalStats()
+    ]);
+
+    res.json({
+      data: {
+        scheduledTransfers,
+        autoCompound,
+        websocket: websocketServer.getStats()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
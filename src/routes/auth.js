@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateWallet } = require('../middleware/auth');
+const { createChallenge, login, refresh, revokeSessions } = require('../services/sessionService');
+
+// Issue a one-time nonce for the FCL account proof
+router.post('/challenge', async (req, res, next) => {
+  try {
+    const challenge = await createChallenge();
+
+    res.status(201).json({
+      data: challenge
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify the signed account proof and start a session
+router.post('/login', async (req, res, next) => {
+  try {
+    const { address, nonce, signatures } = req.body;
+
+    if (!address || !nonce || !signatures) {
+      return res.status(400).json({
+        error: 'address, nonce, and signatures are required'
+      });
+    }
+
+    const tokens = await login(
+      { address, nonce, signatures },
+      { userAgent: req.headers['user-agent'], ipAddress: req.ip }
+    );
+
+    res.json({
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'refreshToken is required'
+      });
+    }
+
+    const tokens = await refresh(refreshToken);
+
+    res.json({
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the current session, or all sessions of the wallet with { all: true }
+router.post('/logout', authenticateWallet, async (req, res, next) => {
+  try {
+    const { all } = req.body;
+
+    if (!all && !req.user.sessionId) {
+      return res.status(400).json({
+        error: 'No session to log out of. Use a session token or pass all: true'
+      });
+    }
+
+    const result = await revokeSessions(req.user.address, all ? null : req.user.sessionId);
+
+    res.json({
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
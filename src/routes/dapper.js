@@ -9,8 +9,11 @@ const {
 } = require('../services/dapperService');
 
 const isTestnet = process.env.FLOW_NETWORK === 'testnet';
-const { queryProtectedAssets, protectDapperAsset } = require('../services/flowService');
+const { queryProtectedAssets } = require('../services/flowService');
+const { buildUserTransaction } = require('../services/transactionBuilderService');
 const { validateAddress, validateAssetType } = require('../middleware/validation');
+const { authenticateWallet } = require('../middleware/auth');
+const { requireSelf } = require('../middleware/ownership');
 const ProtectedAsset = require('../models/ProtectedAsset');
 const Compensation = require('../models/Compensation');
 
@@ -130,8 +133,12 @@ router.get('/assets/:address', validateAddress, async (req, res, next) => {
  * @swagger
  * /api/dapper/insure:
  *   post:
- *     summary: Insure a Dapper NFT asset
+ *     summary: Build a transaction insuring a Dapper NFT asset
+ *     description: Returns the unsigned transaction for the user's wallet to sign. Report the transaction id to POST /api/transactions/submitted to record the protected asset once it is sealed.
  *     tags: [Dapper]
+ *     security:
+ *       - sessionToken: []
+ *       - walletSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -159,9 +166,13 @@ router.get('/assets/:address', validateAddress, async (req, res, next) => {
  *                 example: "PACK_OPENING"
  *     responses:
  *       200:
- *         description: Asset protection successful
+ *         description: Unsigned asset protection transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnsignedTransaction'
  */
-router.post('/insure', validateAssetType, async (req, res, next) => {
+router.post('/insure', authenticateWallet, requireSelf('user'), validateAssetType, async (req, res, next) => {
   try {
     const { user, assetType, assetId, actionType } = req.body;
     
@@ -169,29 +180,9 @@ router.post('/insure', validateAssetType, async (req, res, next) => {
       return res.status(400).json({ error: 'assetId and actionType are required' });
     }
     
-    const { txId, sealed } = await protectDapperAsset(user, assetType, assetId, actionType);
-    
-    const protectedEvent = sealed.events.find(
-      e => e.type.includes('DapperAssetProtectedEvent')
-    );
-    
-    const actionId = protectedEvent?.data?.actionId || `${assetType}_${assetId}_${Date.now()}`;
-    
-    await ProtectedAsset.create({
-      user,
-      assetType,
-      assetId: assetId.toString(),
-      actionId,
-      status: 'PROTECTED',
-      protectedAt: new Date()
-    });
-    
     res.json({
-      txId,
-      actionId,
-      status: 'protected',
-      assetType,
-      assetId,
+      status: 'unsigned',
+      transaction: buildUserTransaction('protect_dapper_asset', user, { assetType, assetId, actionType }),
       compensation: 5.0,
       maxRetries: 3
     });
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { fetchFrothPrice } = require('../services/dapperService');
-const { queryStakerInfo, stakeTokens, unstakeTokens } = require('../services/flowService');
+const { queryStakerInfo } = require('../services/flowService');
+const { buildUserTransaction } = require('../services/transactionBuilderService');
 const { validateAddress, validateStakeAmount } = require('../middleware/validation');
+const { authenticateWallet } = require('../middleware/auth');
+const { requireSelf } = require('../middleware/ownership');
 const Staker = require('../models/Staker');
 const autoCompoundService = require('../services/autoCompoundService');
 
@@ -44,8 +47,12 @@ router.get('/price', async (req, res, next) => {
  * @swagger
  * /api/froth/stake:
  *   post:
- *     summary: Stake FROTH tokens
+ *     summary: Build a transaction staking FROTH tokens
+ *     description: Returns the unsigned transaction for the user's wallet to sign. Report the transaction id to POST /api/transactions/submitted to update the staker once it is sealed.
  *     tags: [FROTH]
+ *     security:
+ *       - sessionToken: []
+ *       - walletSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -64,49 +71,19 @@ router.get('/price', async (req, res, next) => {
  *                 example: 100.0
  *     responses:
  *       200:
- *         description: Staking successful
+ *         description: Unsigned staking transaction
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 txId:
- *                   type: string
- *                 status:
- *                   type: string
- *                 stakedAmount:
- *                   type: number
- *                 totalStaked:
- *                   type: number
- *                 discount:
- *                   type: number
- *                 discountPercentage:
- *                   type: number
+ *               $ref: '#/components/schemas/UnsignedTransaction'
  */
-router.post('/stake', validateStakeAmount, async (req, res, next) => {
+router.post('/stake', authenticateWallet, requireSelf('user'), validateStakeAmount, async (req, res, next) => {
   try {
     const { user, amount } = req.body;
     
-    const { txId, sealed } = await stakeTokens(user, amount);
-    const stakerInfo = await queryStakerInfo(user);
-    
-    await Staker.findOneAndUpdate(
-      { address: user },
-      {
-        stakedAmount: stakerInfo.stakedAmount,
-        discount: stakerInfo.discount,
-        lastStakedAt: new Date()
-      },
-      { upsert: true, new: true }
-    );
-    
     res.json({
-      txId,
-      status: 'sealed',
-      stakedAmount: amount,
-      totalStaked: stakerInfo.stakedAmount,
-      discount: stakerInfo.discount,
-      discountPercentage: stakerInfo.discountPercentage
+      status: 'unsigned',
+      transaction: buildUserTransaction('stake', user, { amount })
     });
   } catch (error) {
     next(error);
@@ -117,8 +94,12 @@ router.post('/stake', validateStakeAmount, async (req, res, next) => {
  * @swagger
  * /api/froth/unstake:
  *   post:
- *     summary: Unstake FROTH tokens
+ *     summary: Build a transaction unstaking FROTH tokens
+ *     description: Returns the unsigned transaction for the user's wallet to sign. Report the transaction id to POST /api/transactions/submitted to update the staker once it is sealed.
  *     tags: [FROTH]
+ *     security:
+ *       - sessionToken: []
+ *       - walletSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -137,30 +118,19 @@ router.post('/stake', validateStakeAmount, async (req, res, next) => {
  *                 example: 25.0
  *     responses:
  *       200:
- *         description: Unstaking successful
+ *         description: Unsigned unstaking transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnsignedTransaction'
  */
-router.post('/unstake', validateStakeAmount, async (req, res, next) => {
+router.post('/unstake', authenticateWallet, requireSelf('user'), validateStakeAmount, async (req, res, next) => {
   try {
     const { user, amount } = req.body;
     
-    const { txId, sealed } = await unstakeTokens(user, amount);
-    const stakerInfo = await queryStakerInfo(user);
-    
-    await Staker.findOneAndUpdate(
-      { address: user },
-      {
-        stakedAmount: stakerInfo.stakedAmount,
-        discount: stakerInfo.discount,
-        lastStakedAt: new Date()
-      }
-    );
-    
     res.json({
-      txId,
-      status: 'sealed',
-      remainingStaked: stakerInfo.stakedAmount,
-      discount: stakerInfo.discount,
-      discountPercentage: stakerInfo.discountPercentage
+      status: 'unsigned',
+      transaction: buildUserTransaction('unstake', user, { amount })
     });
   } catch (error) {
     next(error);
@@ -250,31 +220,38 @@ router.get('/auto-compound/rewards/:address', validateAddress, async (req, res,
   }
 });
 
-router.post('/auto-compound/enable', async (req, res, next) => {
+// Auto-compound transactions are signed by the user's wallet, see POST /api/transactions/submitted
+router.post('/auto-compound/enable', authenticateWallet, requireSelf('address'), async (req, res, next) => {
   try {
     const { address, frequency } = req.body;
-    const result = await autoCompoundService.enableAutoCompound(address, frequency);
-    res.json(result);
+    res.json({
+      status: 'unsigned',
+      transaction: buildUserTransaction('enable_auto_compound', address, { frequency })
+    });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/auto-compound/disable', async (req, res, next) => {
+router.post('/auto-compound/disable', authenticateWallet, requireSelf('address'), async (req, res, next) => {
   try {
     const { address } = req.body;
-    const result = await autoCompoundService.disableAutoCompound(address);
-    res.json(result);
+    res.json({
+      status: 'unsigned',
+      transaction: buildUserTransaction('disable_auto_compound', address)
+    });
   } catch (error) {
     next(error);
   }
 });
 
-router.post('/auto-compound/execute', async (req, res, next) => {
+router.post('/auto-compound/execute', authenticateWallet, requireSelf('address'), async (req, res, next) => {
   try {
     const { address } = req.body;
-    const result = await autoCompoundService.executeCompound(address);
-    res.json(result);
+    res.json({
+      status: 'unsigned',
+      transaction: buildUserTransaction('execute_compound', address)
+    });
   } catch (error) {
     next(error);
   }
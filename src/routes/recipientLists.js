@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const RecipientList = require('../models/RecipientList');
 const { validateAddress } = require('../middleware/validation');
+const { authenticateWallet } = require('../middleware/auth');
+const { requireOwnership, requireSelf, requireSelfParam } = require('../middleware/ownership');
+
+const requireListOwner = requireOwnership(RecipientList, { resourceName: 'Recipient list' });
 
 // Create a new recipient list
-router.post('/', async (req, res, next) => {
+router.post('/', authenticateWallet, requireSelf(), async (req, res, next) => {
   try {
     const { userAddress, name, description, recipients, tags } = req.body;
     
@@ -42,7 +46,7 @@ router.post('/', async (req, res, next) => {
 });
 
 // Get all recipient lists for a user
-router.get('/user/:userAddress', validateAddress, async (req, res, next) => {
+router.get('/user/:userAddress', validateAddress, authenticateWallet, requireSelfParam(), async (req, res, next) => {
   try {
     const { userAddress } = req.params;
     const { includeInactive } = req.query;
@@ -64,17 +68,9 @@ router.get('/user/:userAddress', validateAddress, async (req, res, next) => {
 });
 
 // Get a single recipient list by ID
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authenticateWallet, requireListOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    const list = await RecipientList.findById(id);
-    
-    if (!list) {
-      return res.status(404).json({ 
-        error: 'Recipient list not found' 
-      });
-    }
+    const list = req.resource;
 
     res.json({ 
       data: list 
@@ -85,18 +81,11 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Update a recipient list
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authenticateWallet, requireListOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
     const { name, description, recipients, tags, isActive } = req.body;
     
-    const list = await RecipientList.findById(id);
-    
-    if (!list) {
-      return res.status(404).json({ 
-        error: 'Recipient list not found' 
-      });
-    }
+    const list = req.resource;
 
     if (name !== undefined) list.name = name;
     if (description !== undefined) list.description = description;
@@ -125,9 +114,8 @@ router.put('/:id', async (req, res, next) => {
 });
 
 // Add recipients to a list
-router.post('/:id/recipients', async (req, res, next) => {
+router.post('/:id/recipients', authenticateWallet, requireListOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
     const { recipients } = req.body;
     
     if (!recipients || recipients.length === 0) {
@@ -136,13 +124,7 @@ router.post('/:id/recipients', async (req, res, next) => {
       });
     }
 
-    const list = await RecipientList.findById(id);
-    
-    if (!list) {
-      return res.status(404).json({ 
-        error: 'Recipient list not found' 
-      });
-    }
+    const list = req.resource;
 
     // Validate and add recipients
     for (const recipient of recipients) {
@@ -174,17 +156,11 @@ router.post('/:id/recipients', async (req, res, next) => {
 });
 
 // Remove a recipient from a list
-router.delete('/:id/recipients/:recipientId', async (req, res, next) => {
+router.delete('/:id/recipients/:recipientId', authenticateWallet, requireListOwner, async (req, res, next) => {
   try {
-    const { id, recipientId } = req.params;
-    
-    const list = await RecipientList.findById(id);
+    const { recipientId } = req.params;
     
-    if (!list) {
-      return res.status(404).json({ 
-        error: 'Recipient list not found' 
-      });
-    }
+    const list = req.resource;
 
     list.recipients = list.recipients.filter(
       r => r._id.toString() !== recipientId
@@ -201,17 +177,9 @@ router.delete('/:id/recipients/:recipientId', async (req, res, next) => {
 });
 
 // Delete a recipient list
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authenticateWallet, requireListOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    const list = await RecipientList.findById(id);
-    
-    if (!list) {
-      return res.status(404).json({ 
-        error: 'Recipient list not found' 
-      });
-    }
+    const list = req.resource;
 
     list.isActive = false;
     await list.save();
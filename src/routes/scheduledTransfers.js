@@ -1,13 +1,206 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const ScheduledTransfer = require('../models/ScheduledTransfer');
 const RecipientList = require('../models/RecipientList');
 const { validateAddress } = require('../middleware/validation');
-const { getAuthorizationTransaction, checkAuthorization } = require('../services/scheduledTransferFlowService');
-const { createRecurringTransfers, cancelRecurringTransfer, calculateRecurringCost, validateRecurringBalance } = require('../services/recurringTransferService');
+const { authenticateWallet } = require('../middleware/auth');
+const { isOwner, requireOwnership, requireSelf, requireSelfParam } = require('../middleware/ownership');
+const {
+  SCHEDULE_PRIORITIES,
+  DEFAULT_SCHEDULE_PRIORITY,
+  DEFAULT_EXECUTION_EFFORT,
+  MAX_EXECUTION_EFFORT,
+  checkHandlerInitialized,
+  getInitHandlerTransaction,
+  getScheduleTransferTransaction,
+  estimateScheduleFees,
+  verifyScheduledTransfer,
+  getAuthorizationTransaction,
+  getRevokeAuthorizationTransaction
+} = require('../services/scheduledTransferFlowService');
+const { getAuthorizationStatus } = require('../services/authorizationPolicyService');
+const { getCancellationTransaction, submitCancellation } = require('../services/flowCancellationService');
+const { validateRetryPolicy } = require('../services/retryPolicyService');
+const { FREQUENCIES } = require('../services/recurrenceEngine');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, getMonthRange, parseZonedDate } = require('../services/timeZoneService');
+const { TOKENS, TOKEN_SYMBOLS, DEFAULT_TOKEN, isSupportedToken, getToken, hasValidPrecision } = require('../config/tokens');
+const { getCommitments, checkNewCommitment, checkEditedCommitment } = require('../services/commitmentService');
+const { parseCsv, bulkCreateTransfers } = require('../services/bulkTransferService');
+const { DEAD_LETTER_STATUSES, getFailedTransfers, replayTransfer, getTransferAuditLog } = require('../services/transferReplayService');
+const {
+  CATCH_UP_POLICIES,
+  createRecurringTransfers,
+  cancelRecurringTransfer,
+  pauseRecurringTransfer,
+  resumeRecurringTransfer,
+  skipNextOccurrence,
+  updateSeries,
+  calculateRecurringCost,
+  validateRecurringBalance
+} = require('../services/recurringTransferService');
 
-// Save Flow-scheduled transfer for tracking
-router.post('/flow-scheduled', async (req, res, next) => {
+const requireTransferOwner = requireOwnership(ScheduledTransfer, { resourceName: 'Scheduled transfer' });
+const requireRecurringOwner = (param) => requireOwnership(ScheduledTransfer, { param, resourceName: 'Recurring transfer' });
+
+const unsupportedTokenError = `token must be one of: ${TOKEN_SYMBOLS.join(', ')}`;
+
+/**
+ * Check a transfer amount and per-recipient amounts against the precision of the token
+ * Returns an error message, or null when every amount fits
+ */
+const validateAmountPrecision = (token, amount, recipients) => {
+  const { symbol, decimals } = getToken(token);
+  const amounts = [amount, ...(recipients || []).map(r => r.amount)].filter(a => typeof a === 'number');
+  const invalid = amounts.find(a => !hasValidPrecision(a, symbol));
+
+  return invalid !== undefined
+    ? `Amount ${invalid} has more than the ${decimals} decimal places ${symbol} supports`
+    : null;
+};
+
+// Tokens scheduled transfers can move
+router.get('/tokens', (req, res) => {
+  res.json({ 
+    data: Object.values(TOKENS).map(({ symbol, name, contractName, contractAddress, decimals, vaultStoragePath, receiverPath, balancePath }) => ({
+      symbol,
+      name,
+      contractName,
+      contractAddress,
+      decimals,
+      vaultStoragePath,
+      receiverPath,
+      balancePath,
+      isDefault: symbol === DEFAULT_TOKEN
+    }))
+  });
+});
+
+/**
+ * Check the recipient, amount and date of a Flow-native transfer
+ * Returns an error message, or null when the transfer can be scheduled
+ */
+const validateFlowScheduledTransfer = (recipient, amount, date) => {
+  if (!recipient || !/^0x[0-9a-fA-F]{16}$/.test(recipient)) {
+    return 'recipient must be a Flow address';
+  }
+
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    return 'amount must be a positive number';
+  }
+
+  const precisionError = validateAmountPrecision(DEFAULT_TOKEN, amount);
+  if (precisionError) {
+    return precisionError;
+  }
+
+  if (isNaN(date.getTime())) {
+    return 'scheduledDate must be a valid date';
+  }
+
+  return null;
+};
+
+// Check whether the user has initialized the Flow-native scheduled transfer handler
+router.get('/flow-scheduled/handler/:userAddress', validateAddress, async (req, res, next) => {
+  try {
+    const result = await checkHandlerInitialized(req.params.userAddress);
+
+    res.json({ 
+      data: result 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get transaction for the user to initialize the scheduled transfer handler (once)
+router.get('/flow-scheduled/init-handler-transaction', (req, res) => {
+  res.json({ 
+    data: getInitHandlerTransaction() 
+  });
+});
+
+/**
+ * Check the priority and execution effort a Flow-native transfer is scheduled with
+ * Returns an error message, or null when both are valid (or omitted)
+ */
+const validateSchedulePriority = (priority, executionEffort) => {
+  if (priority !== undefined && !Object.keys(SCHEDULE_PRIORITIES).includes(priority)) {
+    return `priority must be one of: ${Object.keys(SCHEDULE_PRIORITIES).join(', ')}`;
+  }
+
+  if (executionEffort !== undefined && (!Number.isInteger(executionEffort) || executionEffort < 1 || executionEffort > MAX_EXECUTION_EFFORT)) {
+    return `executionEffort must be a whole number between 1 and ${MAX_EXECUTION_EFFORT}`;
+  }
+
+  return null;
+};
+
+// Get transaction for the user to schedule a FLOW transfer with FlowTransactionScheduler,
+// with the fee and execution time estimated for every priority
+router.get('/flow-scheduled/schedule-transaction', async (req, res, next) => {
+  try {
+    const { recipient, amount, scheduledDate, timeZone = DEFAULT_TIME_ZONE, priority = DEFAULT_SCHEDULE_PRIORITY } = req.query;
+    const parsedAmount = parseFloat(amount);
+    const executionEffort = req.query.executionEffort !== undefined ? Number(req.query.executionEffort) : DEFAULT_EXECUTION_EFFORT;
+
+    if (!recipient || !amount || !scheduledDate) {
+      return res.status(400).json({ 
+        error: 'recipient, amount and scheduledDate query parameters are required' 
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        error: 'timeZone must be a valid IANA time zone, e.g. Europe/Berlin' 
+      });
+    }
+
+    const date = parseZonedDate(scheduledDate, timeZone);
+    const validationError = validateFlowScheduledTransfer(recipient, parsedAmount, date) ||
+      validateSchedulePriority(priority, executionEffort);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError 
+      });
+    }
+
+    if (date <= new Date()) {
+      return res.status(400).json({ 
+        error: 'scheduledDate must be in the future' 
+      });
+    }
+
+    const estimates = await estimateScheduleFees(recipient, parsedAmount, date, executionEffort);
+    const estimate = estimates[priority];
+
+    // Low priority transfers are scheduled without a guaranteed execution time
+    if (estimate.error && priority !== 'Low') {
+      return res.status(400).json({ 
+        error: `Transfer cannot be scheduled with ${priority} priority: ${estimate.error}`,
+        estimates
+      });
+    }
+
+    res.json({ 
+      data: {
+        ...getScheduleTransferTransaction(recipient, parsedAmount, date, { priority, executionEffort }),
+        scheduledDate: date,
+        priority,
+        executionEffort,
+        estimatedFee: estimate.flowFee,
+        estimatedExecutionDate: estimate.timestamp,
+        estimates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a Flow-scheduled transfer after verifying on chain that the transaction scheduled it
+router.post('/flow-scheduled', authenticateWallet, requireSelf(), async (req, res, next) => {
   try {
     const { 
       userAddress, 
@@ -16,7 +209,11 @@ router.post('/flow-scheduled', async (req, res, next) => {
       recipient, 
       amount, 
       scheduledDate,
-      transactionId
+      transactionId,
+      timeZone,
+      token,
+      priority,
+      executionEffort
     } = req.body;
     
     if (!userAddress || !title || !amount || !scheduledDate || !recipient || !transactionId) {
@@ -25,15 +222,63 @@ router.post('/flow-scheduled', async (req, res, next) => {
       });
     }
 
+    // Flow-native scheduling pays out of the FlowToken vault
+    if (token !== undefined && (typeof token !== 'string' || token.toUpperCase() !== DEFAULT_TOKEN)) {
+      return res.status(400).json({ 
+        error: `Flow-native scheduled transfers only support ${DEFAULT_TOKEN}` 
+      });
+    }
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        error: 'timeZone must be a valid IANA time zone, e.g. Europe/Berlin' 
+      });
+    }
+
+    const date = parseZonedDate(scheduledDate, timeZone);
+    const validationError = validateFlowScheduledTransfer(recipient, amount, date) ||
+      validateSchedulePriority(priority, executionEffort);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError 
+      });
+    }
+
+    const existing = await ScheduledTransfer.findOne({ transactionId, executionMethod: 'flow_native' });
+    if (existing) {
+      return res.status(409).json({ 
+        error: 'A scheduled transfer was already saved for this transaction' 
+      });
+    }
+
+    const verified = await verifyScheduledTransfer(transactionId, userAddress, {
+      recipient,
+      amount,
+      scheduledDate: date
+    });
+
+    // The chain is authoritative, a claimed priority or effort only has to agree with it
+    if ((priority !== undefined && priority !== verified.priority) ||
+      (executionEffort !== undefined && executionEffort !== verified.executionEffort)) {
+      return res.status(400).json({ 
+        error: `Transaction scheduled the transfer with ${verified.priority} priority and execution effort ${verified.executionEffort}` 
+      });
+    }
+
     const scheduledTransfer = new ScheduledTransfer({
       userAddress,
       title,
       description,
       recipient,
       amount,
-      scheduledDate: new Date(scheduledDate),
+      scheduledDate: verified.scheduledDate,
       status: 'scheduled',
       transactionId,
+      scheduledTxId: verified.scheduledTxId,
+      schedulePriority: verified.priority,
+      executionEffort: verified.executionEffort,
+      schedulingFee: verified.fee,
+      timeZone,
       executionMethod: 'flow_native'
     });
 
@@ -48,7 +293,7 @@ router.post('/flow-scheduled', async (req, res, next) => {
 });
 
 // Create a new scheduled transfer
-router.post('/', async (req, res, next) => {
+router.post('/', authenticateWallet, requireSelf(), async (req, res, next) => {
   try {
     const { 
       userAddress, 
@@ -61,9 +306,15 @@ router.post('/', async (req, res, next) => {
       amountPerRecipient,
       scheduledDate, 
       retryLimit,
+      retryPolicy,
       isRecurring,
       recurringFrequency,
-      recurringEndDate
+      recurrenceRule,
+      recurringEndDate,
+      recurringCount,
+      catchUpPolicy,
+      timeZone,
+      token = DEFAULT_TOKEN
     } = req.body;
     
     if (!userAddress || !title || !amount || !scheduledDate) {
@@ -79,8 +330,79 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    const retryPolicyError = validateRetryPolicy(retryPolicy);
+    if (retryPolicyError) {
+      return res.status(400).json({ 
+        error: retryPolicyError 
+      });
+    }
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        error: 'timeZone must be a valid IANA time zone, e.g. Europe/Berlin' 
+      });
+    }
+
+    if (isRecurring && !FREQUENCIES.includes(recurringFrequency)) {
+      return res.status(400).json({ 
+        error: `Recurring transfers need a recurringFrequency, one of: ${FREQUENCIES.join(', ')}` 
+      });
+    }
+
+    if (recurringCount !== undefined && (!Number.isInteger(recurringCount) || recurringCount < 1)) {
+      return res.status(400).json({ 
+        error: 'recurringCount must be a positive whole number' 
+      });
+    }
+
+    if (catchUpPolicy !== undefined && !CATCH_UP_POLICIES.includes(catchUpPolicy)) {
+      return res.status(400).json({ 
+        error: `catchUpPolicy must be one of: ${CATCH_UP_POLICIES.join(', ')}` 
+      });
+    }
+
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      return res.status(400).json({ 
+        error: 'amount must be a positive number' 
+      });
+    }
+
+    if (recipients !== undefined && (!Array.isArray(recipients) || recipients.some(r => !r || !r.address))) {
+      return res.status(400).json({ 
+        error: 'recipients must be an array of { address, name, amount }' 
+      });
+    }
+
+    // Validate per-recipient amounts
+    if (recipients && recipients.some(r => r.amount !== undefined && (typeof r.amount !== 'number' || r.amount <= 0))) {
+      return res.status(400).json({ 
+        error: 'Recipient amounts must be positive numbers' 
+      });
+    }
+
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
+
+    const tokenSymbol = getToken(token).symbol;
+    const precisionError = validateAmountPrecision(tokenSymbol, amount, recipients);
+    if (precisionError) {
+      return res.status(400).json({ 
+        error: precisionError 
+      });
+    }
+
+    // Dates without an offset are wall-clock times in the transfer's time zone
+    const schedDate = parseZonedDate(scheduledDate, timeZone);
+    if (isNaN(schedDate.getTime())) {
+      return res.status(400).json({ 
+        error: 'scheduledDate must be a valid date' 
+      });
+    }
+
     // Validate scheduled date is in the future
-    const schedDate = new Date(scheduledDate);
     if (schedDate <= new Date()) {
       return res.status(400).json({ 
         error: 'Scheduled date must be in the future' 
@@ -91,20 +413,53 @@ router.post('/', async (req, res, next) => {
     
     // If recipientListId provided, fetch recipients from list
     if (recipientListId) {
-      const recipientList = await RecipientList.findById(recipientListId);
+      const recipientList = mongoose.isValidObjectId(recipientListId)
+        ? await RecipientList.findById(recipientListId)
+        : null;
       if (!recipientList) {
         return res.status(404).json({ 
           error: 'Recipient list not found' 
         });
       }
+      if (!isOwner(req, recipientList)) {
+        return res.status(403).json({ 
+          error: 'You do not have access to this recipient list' 
+        });
+      }
       finalRecipients = recipientList.recipients.map(r => ({
         address: r.address,
         name: r.name
       }));
     }
 
+    // The wallet must be able to cover this transfer on top of everything it already committed to
+    const commitment = await checkNewCommitment({
+      userAddress,
+      title,
+      recipient,
+      recipients: finalRecipients,
+      amount,
+      amountPerRecipient: amountPerRecipient !== false,
+      token: tokenSymbol,
+      scheduledDate: schedDate,
+      recurringFrequency: isRecurring ? recurringFrequency : undefined,
+      recurrenceRule,
+      recurringEndDate,
+      recurringCount,
+      timeZone
+    });
+    if (!commitment.isAllowed) {
+      return res.status(400).json({ 
+        error: commitment.error,
+        balance: commitment.balance,
+        committed: commitment.committed,
+        required: commitment.required,
+        firstShortfallDate: commitment.firstShortfallDate
+      });
+    }
+
     // Handle recurring transfers
-    if (isRecurring && recurringFrequency) {
+    if (isRecurring) {
       const result = await createRecurringTransfers({
         userAddress,
         title,
@@ -114,10 +469,16 @@ router.post('/', async (req, res, next) => {
         recipientListId,
         amount,
         amountPerRecipient: amountPerRecipient !== false,
+        token: tokenSymbol,
         scheduledDate: schedDate,
         recurringFrequency,
+        recurrenceRule,
         recurringEndDate,
-        retryLimit: retryLimit || 3
+        recurringCount,
+        catchUpPolicy,
+        timeZone,
+        retryLimit: retryLimit || 3,
+        retryPolicy
       });
 
       return res.status(201).json({ 
@@ -137,8 +498,11 @@ router.post('/', async (req, res, next) => {
       recipientListId,
       amount,
       amountPerRecipient: amountPerRecipient !== false,
+      token: tokenSymbol,
       scheduledDate: schedDate,
       retryLimit: retryLimit || 3,
+      retryPolicy,
+      timeZone,
       status: 'scheduled'
     });
 
@@ -152,8 +516,39 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+// Bulk create scheduled transfers for the authenticated wallet from a CSV upload (text/csv) or
+// JSON ({ transfers: [...] }). mode=dry_run (default) only validates, mode=commit creates them all
+router.post('/bulk', authenticateWallet, express.text({ type: 'text/csv', limit: '1mb' }), async (req, res, next) => {
+  try {
+    const isCsv = typeof req.body === 'string';
+    const rows = isCsv ? parseCsv(req.body) : req.body.transfers;
+    const mode = req.query.mode || (!isCsv && req.body.mode) || 'dry_run';
+
+    if (!Array.isArray(rows)) {
+      return res.status(400).json({ 
+        error: 'Upload a text/csv body or JSON with a transfers array' 
+      });
+    }
+
+    const report = await bulkCreateTransfers(req.user.address, rows, mode);
+
+    if (mode === 'commit' && !report.committed) {
+      return res.status(400).json({ 
+        error: `${report.invalid} of ${report.total} rows are invalid, no transfers were created`,
+        data: report
+      });
+    }
+
+    res.status(report.committed ? 201 : 200).json({ 
+      data: report 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get all scheduled transfers for a user
-router.get('/user/:userAddress', validateAddress, async (req, res, next) => {
+router.get('/user/:userAddress', validateAddress, authenticateWallet, requireSelfParam(), async (req, res, next) => {
   try {
     const { userAddress } = req.params;
     
@@ -169,10 +564,10 @@ router.get('/user/:userAddress', validateAddress, async (req, res, next) => {
 });
 
 // Get scheduled transfers for a specific month
-router.get('/user/:userAddress/month', validateAddress, async (req, res, next) => {
+router.get('/user/:userAddress/month', validateAddress, authenticateWallet, requireSelfParam(), async (req, res, next) => {
   try {
     const { userAddress } = req.params;
-    const { year, month } = req.query;
+    const { year, month, timeZone = DEFAULT_TIME_ZONE } = req.query;
 
     if (!year || !month) {
       return res.status(400).json({ 
@@ -180,8 +575,28 @@ router.get('/user/:userAddress/month', validateAddress, async (req, res, next) =
       });
     }
 
-    const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
-    const endDate = new Date(parseInt(year), parseInt(month), 0, 23, 59, 59);
+    const yearNumber = Number(year);
+    const monthNumber = Number(month);
+    if (!Number.isInteger(yearNumber) || yearNumber < 1970 || yearNumber > 9999) {
+      return res.status(400).json({ 
+        error: 'year must be a whole number between 1970 and 9999' 
+      });
+    }
+
+    if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+      return res.status(400).json({ 
+        error: 'month must be a whole number between 1 and 12' 
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        error: 'timeZone must be a valid IANA time zone, e.g. Europe/Berlin' 
+      });
+    }
+
+    // Month boundaries on the caller's wall clock
+    const { start: startDate, end: endDate } = getMonthRange(yearNumber, monthNumber, timeZone);
 
     const transfers = await ScheduledTransfer.find({
       userAddress,
@@ -192,7 +607,12 @@ router.get('/user/:userAddress/month', validateAddress, async (req, res, next) =
     }).sort({ scheduledDate: 1 });
 
     res.json({ 
-      data: transfers 
+      data: transfers,
+      range: {
+        timeZone,
+        start: startDate,
+        end: endDate
+      }
     });
   } catch (error) {
     next(error);
@@ -200,7 +620,7 @@ router.get('/user/:userAddress/month', validateAddress, async (req, res, next) =
 });
 
 // Get upcoming scheduled transfers (next 7 days)
-router.get('/user/:userAddress/upcoming', validateAddress, async (req, res, next) => {
+router.get('/user/:userAddress/upcoming', validateAddress, authenticateWallet, requireSelfParam(), async (req, res, next) => {
   try {
     const { userAddress } = req.params;
     
@@ -225,19 +645,169 @@ router.get('/user/:userAddress/upcoming', validateAddress, async (req, res, next
   }
 });
 
-// Get a single scheduled transfer by ID
-router.get('/:id', async (req, res, next) => {
+// Projected balance over time against all scheduled and recurring transfers of a user
+router.get('/user/:userAddress/commitments', validateAddress, authenticateWallet, requireSelfParam(), async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { userAddress } = req.params;
+    const { token = DEFAULT_TOKEN } = req.query;
+    const horizonDays = req.query.horizonDays ? parseInt(req.query.horizonDays) : undefined;
+
+    if (horizonDays !== undefined && (isNaN(horizonDays) || horizonDays < 1 || horizonDays > 366)) {
+      return res.status(400).json({ 
+        error: 'horizonDays must be between 1 and 366' 
+      });
+    }
+
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
+
+    const commitments = await getCommitments(userAddress, { horizonDays, token });
+
+    res.json({ 
+      data: commitments 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get authorization transaction for frontend
+router.get('/authorization-transaction', async (req, res, next) => {
+  try {
+    const { maxAmount, expiryDays, dailyLimit, monthlyLimit, allowedRecipients, token = DEFAULT_TOKEN } = req.query;
     
-    const transfer = await ScheduledTransfer.findById(id);
+    if (!maxAmount || !expiryDays) {
+      return res.status(400).json({ 
+        error: 'maxAmount and expiryDays query parameters are required' 
+      });
+    }
+
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
+
+    const days = parseFloat(expiryDays);
+    if (isNaN(days) || days <= 0 || days > 365) {
+      return res.status(400).json({ 
+        error: 'expiryDays must be greater than 0 and at most 365' 
+      });
+    }
+
+    const limits = { maxAmount, dailyLimit, monthlyLimit };
+    const invalidLimit = Object.keys(limits).find(key => limits[key] !== undefined && !(parseFloat(limits[key]) > 0));
+    if (invalidLimit) {
+      return res.status(400).json({ 
+        error: `${invalidLimit} must be a positive number` 
+      });
+    }
+
+    // Comma-separated list of addresses the backend may pay, anyone when omitted
+    const recipients = allowedRecipients ? allowedRecipients.split(',').map(address => address.trim()).filter(Boolean) : [];
+    if (recipients.some(address => !/^0x[0-9a-fA-F]{16}$/.test(address))) {
+      return res.status(400).json({ 
+        error: 'allowedRecipients must be a comma-separated list of Flow addresses' 
+      });
+    }
+
+    const transaction = getAuthorizationTransaction(
+      parseFloat(maxAmount),
+      days,
+      token,
+      {
+        dailyLimit: dailyLimit !== undefined ? parseFloat(dailyLimit) : undefined,
+        monthlyLimit: monthlyLimit !== undefined ? parseFloat(monthlyLimit) : undefined,
+        allowedRecipients: recipients
+      }
+    );
+
+    res.json({ 
+      data: transaction 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get transaction for the user to revoke the backend authorization of a token
+router.get('/revoke-authorization-transaction', async (req, res, next) => {
+  try {
+    const { token = DEFAULT_TOKEN } = req.query;
+
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
+
+    res.json({ 
+      data: getRevokeAuthorizationTransaction(token) 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check user's authorization status, spend against its limits and expiry warnings
+router.get('/authorization/:userAddress', validateAddress, async (req, res, next) => {
+  try {
+    const { userAddress } = req.params;
+    const { token = DEFAULT_TOKEN } = req.query;
+
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
     
-    if (!transfer) {
-      return res.status(404).json({ 
-        error: 'Scheduled transfer not found' 
+    const authStatus = await getAuthorizationStatus(userAddress, token);
+
+    res.json({ 
+      data: authStatus 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dead-letter queue: the caller's transfers that failed after exhausting their retries
+router.get('/failed', authenticateWallet, async (req, res, next) => {
+  try {
+    const { status, reason, failedFrom, failedTo, limit, offset } = req.query;
+
+    if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        error: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}` 
       });
     }
 
+    const result = await getFailedTransfers(
+      { userAddress: req.user.address, status, reason, failedFrom, failedTo },
+      { limit, offset }
+    );
+
+    res.json({ 
+      data: result.transfers,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single scheduled transfer by ID
+router.get('/:id', authenticateWallet, requireTransferOwner, async (req, res, next) => {
+  try {
+    const transfer = req.resource;
+
     res.json({ 
       data: transfer 
     });
@@ -247,43 +817,206 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Update a scheduled transfer
-router.put('/:id', async (req, res, next) => {
+// For instances of a recurring series, scope 'this' (default) changes only this instance,
+// scope 'following' changes the series from this instance on. Editing the parent edits the series
+router.put('/:id', authenticateWallet, requireTransferOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { title, description, recipient, amount, scheduledDate, retryLimit } = req.body;
-    
-    const transfer = await ScheduledTransfer.findById(id);
+    const { 
+      title, 
+      description, 
+      recipient, 
+      recipients,
+      amount, 
+      amountPerRecipient,
+      scheduledDate, 
+      retryLimit, 
+      retryPolicy, 
+      timeZone,
+      recurringFrequency,
+      recurrenceRule,
+      recurringEndDate,
+      recurringCount,
+      catchUpPolicy,
+      scope = 'this'
+    } = req.body;
     
-    if (!transfer) {
-      return res.status(404).json({ 
-        error: 'Scheduled transfer not found' 
+    const transfer = req.resource;
+    const isSeriesEdit = transfer.isRecurring || scope === 'following';
+
+    // Flow-native transfers were verified against their on-chain schedule, which pays out
+    // regardless of the database, so only the labels can change
+    if (transfer.executionMethod === 'flow_native' || transfer.fallbackAt) {
+      const scheduledFields = Object.keys(req.body).filter(key => !['title', 'description'].includes(key));
+      if (scheduledFields.length > 0) {
+        return res.status(400).json({ 
+          error: `Flow-native transfers are scheduled on chain, only title and description can be updated (got ${scheduledFields.join(', ')})` 
+        });
+      }
+    }
+
+    if (!['this', 'following'].includes(scope)) {
+      return res.status(400).json({ 
+        error: 'scope must be "this" or "following"' 
       });
     }
 
-    // Only allow updates if status is 'scheduled'
-    if (transfer.status !== 'scheduled') {
+    if (scope === 'following' && !transfer.isRecurring && !transfer.parentRecurringId) {
+      return res.status(400).json({ 
+        error: 'scope "following" only applies to recurring transfers' 
+      });
+    }
+
+    // Only allow updates if status is 'scheduled' (or 'paused' for recurring transfers)
+    if (transfer.status !== 'scheduled' && !(transfer.status === 'paused' && (transfer.isRecurring || transfer.parentRecurringId))) {
       return res.status(400).json({ 
         error: 'Can only update transfers with status "scheduled"' 
       });
     }
 
+    const hasScheduleRuleChange = [recurringFrequency, recurrenceRule, recurringEndDate, recurringCount, catchUpPolicy].some(value => value !== undefined);
+    if (hasScheduleRuleChange && !isSeriesEdit) {
+      return res.status(400).json({ 
+        error: 'Recurrence changes apply to the series, use scope "following"' 
+      });
+    }
+
+    const retryPolicyError = validateRetryPolicy(retryPolicy);
+    if (retryPolicyError) {
+      return res.status(400).json({ 
+        error: retryPolicyError 
+      });
+    }
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ 
+        error: 'timeZone must be a valid IANA time zone, e.g. Europe/Berlin' 
+      });
+    }
+
+    if (recipients !== undefined && (!Array.isArray(recipients) || recipients.length === 0 || recipients.some(r => !r || !r.address))) {
+      return res.status(400).json({ 
+        error: 'recipients must be a non-empty array of { address, name, amount }' 
+      });
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+      return res.status(400).json({ 
+        error: 'amount must be a positive number' 
+      });
+    }
+
+    if (recipients && recipients.some(r => r.amount !== undefined && (typeof r.amount !== 'number' || r.amount <= 0))) {
+      return res.status(400).json({ 
+        error: 'Recipient amounts must be positive numbers' 
+      });
+    }
+
+    const precisionError = validateAmountPrecision(transfer.token, amount, recipients);
+    if (precisionError) {
+      return res.status(400).json({ 
+        error: precisionError 
+      });
+    }
+
+    if (recurringCount !== undefined && (!Number.isInteger(recurringCount) || recurringCount < 1)) {
+      return res.status(400).json({ 
+        error: 'recurringCount must be a positive whole number' 
+      });
+    }
+
+    if (catchUpPolicy !== undefined && !CATCH_UP_POLICIES.includes(catchUpPolicy)) {
+      return res.status(400).json({ 
+        error: `catchUpPolicy must be one of: ${CATCH_UP_POLICIES.join(', ')}` 
+      });
+    }
+
     // Validate scheduled date if provided
+    let schedDate;
     if (scheduledDate) {
-      const schedDate = new Date(scheduledDate);
+      // Dates without an offset are wall-clock times in the transfer's (edited) time zone
+      schedDate = parseZonedDate(scheduledDate, timeZone || transfer.timeZone || DEFAULT_TIME_ZONE);
+      if (isNaN(schedDate.getTime())) {
+        return res.status(400).json({ 
+          error: 'scheduledDate must be a valid date' 
+        });
+      }
+
       if (schedDate <= new Date()) {
         return res.status(400).json({ 
           error: 'Scheduled date must be in the future' 
         });
       }
-      transfer.scheduledDate = schedDate;
+    }
+
+    // Edits that change what is paid or when must still fit the wallet's balance and authorization,
+    // checked like a new transfer in place of the one being edited. Paused transfers are not committed
+    const changesPayments = [recipient, recipients, amount, amountPerRecipient, schedDate, recurringFrequency, recurrenceRule, recurringEndDate, recurringCount]
+      .some(value => value !== undefined);
+    const series = isSeriesEdit && !transfer.isRecurring
+      ? await ScheduledTransfer.findById(transfer.parentRecurringId)
+      : (transfer.isRecurring ? transfer : null);
+
+    if (changesPayments && (series || transfer).status !== 'paused') {
+      const commitment = await checkEditedCommitment(transfer, {
+        recipient,
+        recipients,
+        amount,
+        amountPerRecipient,
+        scheduledDate: schedDate,
+        recurringFrequency,
+        recurrenceRule,
+        recurringEndDate,
+        recurringCount
+      }, { series });
+
+      if (!commitment.isAllowed) {
+        return res.status(400).json({ 
+          error: commitment.error,
+          balance: commitment.balance,
+          committed: commitment.committed,
+          required: commitment.required,
+          firstShortfallDate: commitment.firstShortfallDate
+        });
+      }
+    }
+
+    if (isSeriesEdit) {
+      const result = await updateSeries(transfer, {
+        title,
+        description,
+        recipient,
+        recipients,
+        amount,
+        amountPerRecipient,
+        retryLimit,
+        retryPolicy,
+        scheduledDate: schedDate,
+        recurringFrequency,
+        recurrenceRule,
+        recurringEndDate,
+        recurringCount,
+        catchUpPolicy,
+        timeZone
+      });
+
+      return res.json({ 
+        data: transfer.isRecurring ? result.parent : result.instance,
+        parent: result.parent,
+        updatedInstances: result.updatedInstances
+      });
     }
 
     // Update fields
+    if (schedDate) transfer.scheduledDate = schedDate;
     if (title !== undefined) transfer.title = title;
     if (description !== undefined) transfer.description = description;
     if (recipient !== undefined) transfer.recipient = recipient;
+    if (recipients !== undefined) transfer.recipients = recipients;
     if (amount !== undefined) transfer.amount = amount;
+    if (amountPerRecipient !== undefined) transfer.amountPerRecipient = amountPerRecipient;
     if (retryLimit !== undefined) transfer.retryLimit = retryLimit;
+    if (retryPolicy !== undefined) transfer.retryPolicy = retryPolicy;
+    if (timeZone !== undefined) transfer.timeZone = timeZone;
 
     await transfer.save();
 
@@ -295,16 +1028,48 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
+// Re-validate a failed transfer and put it back in the queue
+router.post('/:id/replay', authenticateWallet, requireTransferOwner, async (req, res, next) => {
+  try {
+    const transfer = await replayTransfer(req.resource, req.user, { reason: req.body.note });
+
+    res.json({ 
+      data: transfer 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay audit trail of a transfer
+router.get('/:id/audit', authenticateWallet, requireTransferOwner, async (req, res, next) => {
+  try {
+    const entries = await getTransferAuditLog(req.resource._id);
+
+    res.json({ 
+      data: entries 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Cancel a scheduled transfer
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authenticateWallet, requireTransferOwner, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    const transfer = await ScheduledTransfer.findById(id);
-    
-    if (!transfer) {
-      return res.status(404).json({ 
-        error: 'Scheduled transfer not found' 
+    const transfer = req.resource;
+
+    // Flow-native transfers run on chain regardless of the database, the user has to cancel
+    // them with FlowTransactionScheduler and report the transaction to /:id/cancellation
+    // Transfers that fell back to the backend are still scheduled on chain as well
+    if (transfer.executionMethod === 'flow_native' || transfer.fallbackAt) {
+      const transaction = getCancellationTransaction(transfer);
+
+      return res.json({ 
+        data: {
+          transfer,
+          transaction
+        }
       });
     }
 
@@ -326,39 +1091,21 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// Get authorization transaction for frontend
-router.get('/authorization-transaction', async (req, res, next) => {
+// Report the transaction the user signed to cancel a Flow-native transfer on chain
+router.post('/:id/cancellation', authenticateWallet, requireTransferOwner, async (req, res, next) => {
   try {
-    const { maxAmount, expiryDays } = req.query;
-    
-    if (!maxAmount || !expiryDays) {
+    const transfer = req.resource;
+
+    if (transfer.executionMethod !== 'flow_native' && !transfer.fallbackAt) {
       return res.status(400).json({ 
-        error: 'maxAmount and expiryDays query parameters are required' 
+        error: 'Only Flow-native transfers are cancelled on chain' 
       });
     }
 
-    const transaction = getAuthorizationTransaction(
-      parseFloat(maxAmount),
-      parseFloat(expiryDays)
-    );
+    const cancelling = await submitCancellation(transfer, req.body.transactionId);
 
-    res.json({ 
-      data: transaction 
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Check user's authorization status
-router.get('/authorization/:userAddress', validateAddress, async (req, res, next) => {
-  try {
-    const { userAddress } = req.params;
-    
-    const authStatus = await checkAuthorization(userAddress);
-
-    res.json({ 
-      data: authStatus 
+    res.status(202).json({ 
+      data: cancelling 
     });
   } catch (error) {
     next(error);
@@ -374,7 +1121,10 @@ router.post('/recurring/calculate-cost', async (req, res, next) => {
       recipientCount, 
       startDate, 
       frequency, 
-      endDate 
+      endDate,
+      recurrenceRule,
+      recurringCount,
+      timeZone
     } = req.body;
     
     if (!amount || !recipientCount || !startDate || !frequency) {
@@ -389,7 +1139,8 @@ router.post('/recurring/calculate-cost', async (req, res, next) => {
       recipientCount, 
       startDate, 
       frequency, 
-      endDate
+      endDate,
+      { recurrenceRule, recurringCount, timeZone }
     );
 
     res.json({ 
@@ -410,7 +1161,11 @@ router.post('/recurring/validate-balance', async (req, res, next) => {
       recipientCount, 
       startDate, 
       frequency, 
-      endDate 
+      endDate,
+      recurrenceRule,
+      recurringCount,
+      timeZone,
+      token = DEFAULT_TOKEN
     } = req.body;
     
     if (!userAddress || !amount || !recipientCount || !startDate || !frequency) {
@@ -419,6 +1174,12 @@ router.post('/recurring/validate-balance', async (req, res, next) => {
       });
     }
 
+    if (!isSupportedToken(token)) {
+      return res.status(400).json({ 
+        error: unsupportedTokenError 
+      });
+    }
+
     const validation = await validateRecurringBalance(
       userAddress,
       amount, 
@@ -426,7 +1187,8 @@ router.post('/recurring/validate-balance', async (req, res, next) => {
       recipientCount, 
       startDate, 
       frequency, 
-      endDate
+      endDate,
+      { recurrenceRule, recurringCount, timeZone, token }
     );
 
     res.json({ 
@@ -438,11 +1200,15 @@ router.post('/recurring/validate-balance', async (req, res, next) => {
 });
 
 // Cancel recurring transfer and all future instances
-router.delete('/recurring/:id', async (req, res, next) => {
+router.delete('/recurring/:id', authenticateWallet, requireRecurringOwner('id'), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    const result = await cancelRecurringTransfer(id);
+    if (!req.resource.isRecurring) {
+      return res.status(404).json({ 
+        error: 'Recurring transfer not found' 
+      });
+    }
+
+    const result = await cancelRecurringTransfer(req.resource._id);
 
     res.json({ 
       data: result,
@@ -453,13 +1219,83 @@ router.delete('/recurring/:id', async (req, res, next) => {
   }
 });
 
+// Pause a recurring transfer series
+router.post('/recurring/:id/pause', authenticateWallet, requireRecurringOwner('id'), async (req, res, next) => {
+  try {
+    if (!req.resource.isRecurring) {
+      return res.status(404).json({ 
+        error: 'Recurring transfer not found' 
+      });
+    }
+
+    const result = await pauseRecurringTransfer(req.resource._id);
+
+    res.json({ 
+      data: result.parent,
+      message: `Paused recurring transfer and ${result.pausedInstances} pending instances`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resume a paused recurring transfer series
+// Missed occurrences are skipped unless generateMissed is true
+router.post('/recurring/:id/resume', authenticateWallet, requireRecurringOwner('id'), async (req, res, next) => {
+  try {
+    if (!req.resource.isRecurring) {
+      return res.status(404).json({ 
+        error: 'Recurring transfer not found' 
+      });
+    }
+
+    const result = await resumeRecurringTransfer(req.resource._id, {
+      generateMissed: req.body.generateMissed === true
+    });
+
+    res.json({ 
+      data: result.parent,
+      resumedInstances: result.resumedInstances,
+      skippedOccurrences: result.skippedOccurrences,
+      nextInstance: result.nextInstance
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Skip the next occurrence of a recurring transfer series
+router.post('/recurring/:id/skip-next', authenticateWallet, requireRecurringOwner('id'), async (req, res, next) => {
+  try {
+    if (!req.resource.isRecurring) {
+      return res.status(404).json({ 
+        error: 'Recurring transfer not found' 
+      });
+    }
+
+    const result = await skipNextOccurrence(req.resource._id);
+
+    res.json({ 
+      data: result.parent,
+      skipped: result.skipped,
+      nextInstance: result.nextInstance
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get recurring transfer instances
-router.get('/recurring/:parentId/instances', async (req, res, next) => {
+router.get('/recurring/:parentId/instances', authenticateWallet, requireRecurringOwner('parentId'), async (req, res, next) => {
   try {
-    const { parentId } = req.params;
-    
+    if (!req.resource.isRecurring) {
+      return res.status(404).json({ 
+        error: 'Recurring transfer not found' 
+      });
+    }
+
     const instances = await ScheduledTransfer.find({
-      parentRecurringId: parentId
+      parentRecurringId: req.resource._id
     }).sort({ scheduledDate: 1 });
 
     res.json({ 
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { executeInsuredAction, getActionStatus, getUserActions } = require('../services/transactionService');
 const { validateAddress } = require('../middleware/validation');
+const { authenticateWallet } = require('../middleware/auth');
+const { isOwner } = require('../middleware/ownership');
+const { submitTransaction, getTrackedTransaction } = require('../services/transactionTrackerService');
 
 router.post('/execute', async (req, res, next) => {
   try {
@@ -39,4 +42,98 @@ router.get('/user/:address', validateAddress, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/transactions/submitted:
+ *   post:
+ *     summary: Report a transaction the wallet signed from a built transaction
+ *     description: The transaction is tracked until it is sealed, then its result is applied (staker balances, protected assets).
+ *     tags: [Transactions]
+ *     security:
+ *       - sessionToken: []
+ *       - walletSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - txId
+ *               - type
+ *             properties:
+ *               txId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [stake, unstake, protect_dapper_asset, enable_auto_compound, disable_auto_compound, execute_compound]
+ *               params:
+ *                 type: object
+ *                 description: Parameters the transaction was built with
+ *     responses:
+ *       202:
+ *         description: Transaction is being tracked
+ */
+router.post('/submitted', authenticateWallet, async (req, res, next) => {
+  try {
+    const { txId, type, params } = req.body;
+
+    const tracked = await submitTransaction({
+      txId,
+      type,
+      userAddress: req.user.address,
+      params
+    });
+
+    res.status(202).json({ 
+      data: tracked 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/tx/{txId}:
+ *   get:
+ *     summary: Get a tracked Flow transaction
+ *     description: Status (pending, finalized, executed, sealed or expired), events and error of a tracked transaction of the authenticated wallet. Transitions are also pushed on the `transactions` WebSocket channel.
+ *     tags: [Transactions]
+ *     security:
+ *       - sessionToken: []
+ *       - walletSignature: []
+ *     parameters:
+ *       - in: path
+ *         name: txId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tracked transaction
+ *       403:
+ *         description: Transaction was tracked for another wallet
+ *       404:
+ *         description: Transaction is not tracked
+ */
+router.get('/tx/:txId', authenticateWallet, async (req, res, next) => {
+  try {
+    const tracked = await getTrackedTransaction(req.params.txId);
+
+    // Tracked transactions carry the wallet and transfer parameters they were sent for
+    if (!isOwner(req, tracked)) {
+      return res.status(403).json({ 
+        error: 'You do not have access to this transaction' 
+      });
+    }
+
+    res.json({ 
+      data: tracked 
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
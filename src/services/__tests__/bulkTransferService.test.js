@@ -0,0 +1,41 @@
+const { parseCsv } = require('../bulkTransferService');
+
+describe('parseCsv', () => {
+  test('maps each line onto the header keys', () => {
+    expect(parseCsv('recipient,amount,date\n0x01cf0e2f2f715450,1.5,2030-01-01\n0x179b6b1cb6755e31,2,2030-02-01\n')).toEqual([
+      { recipient: '0x01cf0e2f2f715450', amount: '1.5', date: '2030-01-01' },
+      { recipient: '0x179b6b1cb6755e31', amount: '2', date: '2030-02-01' }
+    ]);
+  });
+
+  test('keeps commas, line breaks and escaped quotes inside quoted fields', () => {
+    const csv = 'title,description\r\n"Rent, March","Flat ""B""\nsecond floor"\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { title: 'Rent, March', description: 'Flat "B"\nsecond floor' }
+    ]);
+  });
+
+  test('trims header keys and skips blank lines', () => {
+    expect(parseCsv(' title , amount \n\nGym,20\n  \n')).toEqual([
+      { title: 'Gym', amount: '20' }
+    ]);
+  });
+
+  test('leaves missing trailing fields undefined', () => {
+    expect(parseCsv('title,amount,token\nGym,20')).toEqual([
+      { title: 'Gym', amount: '20', token: undefined }
+    ]);
+  });
+
+  test('returns no rows for an empty upload', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('title\n"Rent')).toThrow(expect.objectContaining({
+      message: 'CSV has an unterminated quoted field',
+      statusCode: 400
+    }));
+  });
+});
@@ -0,0 +1,119 @@
+const { parseRecurrenceRule, resolveRule, nextOccurrence, listOccurrences } = require('../recurrenceEngine');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('recurrenceEngine', () => {
+  describe('monthly series', () => {
+    test('clamps the start day to short months and returns to it afterwards', () => {
+      const rule = resolveRule({ recurringFrequency: 'monthly' });
+
+      expect(iso(listOccurrences(rule, '2025-01-31T09:00:00Z', { count: 4 }))).toEqual([
+        '2025-01-31T09:00:00.000Z',
+        '2025-02-28T09:00:00.000Z',
+        '2025-03-31T09:00:00.000Z',
+        '2025-04-30T09:00:00.000Z'
+      ]);
+    });
+
+    test('clamps to February 29 in leap years', () => {
+      const rule = resolveRule({ recurringFrequency: 'monthly' });
+
+      expect(nextOccurrence(rule, '2024-01-31T09:00:00Z', '2024-01-31T09:00:00Z').toISOString())
+        .toBe('2024-02-29T09:00:00.000Z');
+    });
+
+    test('semimonthly pays on the 1st and 15th', () => {
+      const rule = resolveRule({ recurringFrequency: 'semimonthly' });
+
+      expect(iso(listOccurrences(rule, '2025-01-01T12:00:00Z', { count: 4 }))).toEqual([
+        '2025-01-01T12:00:00.000Z',
+        '2025-01-15T12:00:00.000Z',
+        '2025-02-01T12:00:00.000Z',
+        '2025-02-15T12:00:00.000Z'
+      ]);
+    });
+
+    test('last_business_day skips weekends at the end of the month', () => {
+      const rule = resolveRule({ recurringFrequency: 'last_business_day' });
+
+      // May 31 2025 is a Saturday, August 31 2025 a Sunday
+      expect(iso(listOccurrences(rule, '2025-05-01T09:00:00Z', { count: 4 }))).toEqual([
+        '2025-05-30T09:00:00.000Z',
+        '2025-06-30T09:00:00.000Z',
+        '2025-07-31T09:00:00.000Z',
+        '2025-08-29T09:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('BYDAY rules', () => {
+    test('weekly rules pay on each listed weekday', () => {
+      const rule = resolveRule({ recurringFrequency: 'custom', recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO,FR' });
+
+      // June 4 2025 is a Wednesday
+      expect(iso(listOccurrences(rule, '2025-06-04T10:00:00Z', { count: 4 }))).toEqual([
+        '2025-06-06T10:00:00.000Z',
+        '2025-06-09T10:00:00.000Z',
+        '2025-06-13T10:00:00.000Z',
+        '2025-06-16T10:00:00.000Z'
+      ]);
+    });
+
+    test('BYSETPOS picks the n-th matching weekday of the month', () => {
+      const rule = resolveRule({ recurringFrequency: 'custom', recurrenceRule: 'RRULE:FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2' });
+
+      expect(iso(listOccurrences(rule, '2025-01-01T08:00:00Z', { count: 3 }))).toEqual([
+        '2025-01-14T08:00:00.000Z',
+        '2025-02-11T08:00:00.000Z',
+        '2025-03-11T08:00:00.000Z'
+      ]);
+    });
+
+    test('rejects unknown weekdays and unsupported parts', () => {
+      expect(() => parseRecurrenceRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('Invalid BYDAY value: XX');
+      expect(() => parseRecurrenceRule('FREQ=WEEKLY;COUNT=3')).toThrow('Use recurringCount or recurringEndDate instead of COUNT or UNTIL');
+      expect(() => parseRecurrenceRule('FREQ=DAILY;BYMONTHDAY=1')).toThrow('BYMONTHDAY is only supported with MONTHLY or YEARLY');
+    });
+  });
+
+  describe('DST', () => {
+    test('keeps the wall-clock time across a spring-forward change', () => {
+      const rule = resolveRule({ recurringFrequency: 'daily', timeZone: 'America/New_York' });
+
+      // DST starts on March 9 2025, 09:00 moves from UTC-5 to UTC-4
+      expect(iso(listOccurrences(rule, '2025-03-08T14:00:00Z', { count: 3 }))).toEqual([
+        '2025-03-08T14:00:00.000Z',
+        '2025-03-09T13:00:00.000Z',
+        '2025-03-10T13:00:00.000Z'
+      ]);
+    });
+
+    test('keeps the wall-clock time across a fall-back change', () => {
+      const rule = resolveRule({ recurringFrequency: 'weekly', timeZone: 'Europe/Berlin' });
+
+      // DST ends on October 26 2025, 09:00 moves from UTC+2 to UTC+1
+      expect(iso(listOccurrences(rule, '2025-10-20T07:00:00Z', { count: 2 }))).toEqual([
+        '2025-10-20T07:00:00.000Z',
+        '2025-10-27T08:00:00.000Z'
+      ]);
+    });
+
+    test('moves a wall-clock time skipped by DST to just after the change', () => {
+      const rule = resolveRule({ recurringFrequency: 'daily', timeZone: 'America/New_York' });
+
+      // 02:30 does not exist on March 9 2025 in New York, it runs at 03:30 EDT
+      expect(nextOccurrence(rule, '2025-03-08T07:30:00Z', '2025-03-08T07:30:00Z').toISOString())
+        .toBe('2025-03-09T07:30:00.000Z');
+    });
+  });
+
+  test('listOccurrences honours until and after', () => {
+    const rule = resolveRule({ recurringFrequency: 'daily' });
+    const dates = listOccurrences(rule, '2025-01-01T00:00:00Z', {
+      after: '2025-01-02T00:00:00Z',
+      until: '2025-01-04T00:00:00Z'
+    });
+
+    expect(iso(dates)).toEqual(['2025-01-03T00:00:00.000Z', '2025-01-04T00:00:00.000Z']);
+  });
+});
@@ -0,0 +1,40 @@
+const { computeRetryDelayMs } = require('../retryPolicyService');
+
+describe('computeRetryDelayMs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uses the default fixed policy when none is set', () => {
+    expect(computeRetryDelayMs(undefined, 1)).toBe(300000);
+    expect(computeRetryDelayMs(null, 5)).toBe(300000);
+  });
+
+  test('grows linearly with the attempt', () => {
+    const policy = { strategy: 'linear', baseDelaySeconds: 60 };
+
+    expect([1, 2, 3].map(attempt => computeRetryDelayMs(policy, attempt))).toEqual([60000, 120000, 180000]);
+  });
+
+  test('doubles exponentially and caps at maxDelaySeconds', () => {
+    const policy = { strategy: 'exponential', baseDelaySeconds: 60, maxDelaySeconds: 300 };
+
+    expect([1, 2, 3, 4].map(attempt => computeRetryDelayMs(policy, attempt))).toEqual([60000, 120000, 240000, 300000]);
+  });
+
+  test('jitter randomizes between half and the full delay', () => {
+    const policy = { strategy: 'fixed', baseDelaySeconds: 100, jitter: true };
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(computeRetryDelayMs(policy, 1)).toBe(50000);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(computeRetryDelayMs(policy, 1)).toBe(100000);
+  });
+
+  test('accepts stored policies with unset fields', () => {
+    const stored = { toObject: () => ({ strategy: 'linear', baseDelaySeconds: null, maxDelaySeconds: 400 }) };
+
+    expect(computeRetryDelayMs(stored, 2)).toBe(400000);
+  });
+});
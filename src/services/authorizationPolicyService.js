@@ -0,0 +1,251 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const AuthorizationExpiryWarning = require('../models/AuthorizationExpiryWarning');
+const { fcl } = require('../config/flow');
+const { DEFAULT_TOKEN, getToken, tokenQuery } = require('../config/tokens');
+const { checkBackendAuthorization } = require('./scheduledTransferFlowService');
+const websocketServer = require('./websocketServer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wallets are warned this long before an authorization their pending transfers rely on expires
+const EXPIRY_WARNING_DAYS = parseInt(process.env.AUTHORIZATION_EXPIRY_WARNING_DAYS || '7');
+
+// Transfers that still have to run under the authorization
+const PENDING_STATUSES = ['scheduled', 'paused'];
+
+const roundAmount = (amount) => Number(amount.toFixed(8));
+
+const normalizeAddress = (address) => fcl.withPrefix(address).toLowerCase();
+
+/**
+ * Start of the UTC day and month spend limits are counted in
+ */
+const getSpendWindows = (now = new Date()) => ({
+  dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+  monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+});
+
+/**
+ * Amount of a token the backend paid out of a wallet today and this month (UTC)
+ * Payments of submitted transactions that have not sealed yet ('pending') count from when they
+ * were submitted, so a transfer executing in parallel cannot slip past the limits meanwhile
+ * Limits are enforced by the backend only: the execution transaction compares against these
+ * totals, which the service account passes in itself, so the chain keeps no running total
+ */
+const getSpentAmounts = async (userAddress, token = DEFAULT_TOKEN, now = new Date()) => {
+  const { dayStart, monthStart } = getSpendWindows(now);
+  const counted = {
+    $or: [
+      { 'transactionIds.status': 'completed', 'transactionIds.paidAt': { $gte: monthStart } },
+      { 'transactionIds.status': 'pending' }
+    ]
+  };
+
+  const [result] = await ScheduledTransfer.aggregate([
+    {
+      $match: {
+        userAddress,
+        token: tokenQuery(token),
+        executionMethod: 'backend',
+        ...counted
+      }
+    },
+    { $unwind: '$transactionIds' },
+    { $match: counted },
+    {
+      $addFields: {
+        spentAt: { $ifNull: ['$transactionIds.paidAt', { $ifNull: ['$transactionIds.submittedAt', now] }] }
+      }
+    },
+    { $match: { spentAt: { $gte: monthStart } } },
+    {
+      $group: {
+        _id: null,
+        spentThisMonth: { $sum: '$transactionIds.amount' },
+        spentToday: {
+          $sum: { $cond: [{ $gte: ['$spentAt', dayStart] }, '$transactionIds.amount', 0] }
+        }
+      }
+    }
+  ]);
+
+  return {
+    spentToday: result ? roundAmount(result.spentToday) : 0,
+    spentThisMonth: result ? roundAmount(result.spentThisMonth) : 0
+  };
+};
+
+/**
+ * Check payments against the expiry, allowed recipients and spend limits of an authorization
+ * authCheck comes from checkBackendAuthorization, spent from getSpentAmounts
+ * Returns an error message, or null when the payments are allowed
+ */
+const getPolicyViolation = (authCheck, payments, spent = {}) => {
+  const token = authCheck.token || DEFAULT_TOKEN;
+
+  if (authCheck.isExpired) {
+    return `${token} authorization has expired`;
+  }
+
+  const allowedRecipients = (authCheck.allowedRecipients || []).map(normalizeAddress);
+  if (allowedRecipients.length > 0) {
+    const notAllowed = payments.find(p => !allowedRecipients.includes(normalizeAddress(p.recipient)));
+    if (notAllowed) {
+      return `Recipient ${notAllowed.recipient} is not an allowed recipient of the ${token} authorization`;
+    }
+  }
+
+  const total = roundAmount(payments.reduce((sum, p) => sum + p.amount, 0));
+  const spentToday = spent.spentToday || 0;
+  const spentThisMonth = spent.spentThisMonth || 0;
+
+  if (authCheck.dailyLimit && spentToday + total > authCheck.dailyLimit) {
+    return `Transfer of ${total} ${token} exceeds daily limit of the ${token} authorization (${spentToday} of ${authCheck.dailyLimit} spent today)`;
+  }
+
+  if (authCheck.monthlyLimit && spentThisMonth + total > authCheck.monthlyLimit) {
+    return `Transfer of ${total} ${token} exceeds monthly limit of the ${token} authorization (${spentThisMonth} of ${authCheck.monthlyLimit} spent this month)`;
+  }
+
+  return null;
+};
+
+/**
+ * Pending transfers of a wallet that would run after an authorization expires
+ * Recurring series count unless they end before the expiry
+ */
+const findTransfersAfterExpiry = (userAddress, token, expiresAt) => {
+  return ScheduledTransfer.find({
+    userAddress,
+    token: tokenQuery(token),
+    executionMethod: 'backend',
+    status: { $in: PENDING_STATUSES },
+    $or: [
+      { isRecurring: { $ne: true }, scheduledDate: { $gte: expiresAt } },
+      { isRecurring: true, $or: [{ recurringEndDate: null }, { recurringEndDate: { $gte: expiresAt } }] }
+    ]
+  }).select('_id title scheduledDate isRecurring');
+};
+
+const getExpiryStatus = (expiresAt, now = new Date()) => {
+  if (!expiresAt) {
+    return { expiresInDays: null, isExpiringSoon: false };
+  }
+
+  const msLeft = expiresAt - now;
+
+  return {
+    expiresInDays: Math.max(Math.floor(msLeft / DAY_MS), 0),
+    isExpiringSoon: msLeft > 0 && msLeft <= EXPIRY_WARNING_DAYS * DAY_MS
+  };
+};
+
+/**
+ * Authorization of a wallet for a token with its policy, what has been spent against its limits
+ * and a warning when pending transfers would run after it expires
+ */
+const getAuthorizationStatus = async (userAddress, token = DEFAULT_TOKEN) => {
+  const { symbol } = getToken(token);
+  const now = new Date();
+
+  const [authCheck, spent] = await Promise.all([
+    checkBackendAuthorization(userAddress, symbol),
+    getSpentAmounts(userAddress, symbol, now)
+  ]);
+
+  const expiry = getExpiryStatus(authCheck.expiresAt, now);
+  let warning = null;
+
+  if (authCheck.isAuthorized && authCheck.expiresAt && (expiry.isExpiringSoon || authCheck.isExpired)) {
+    const affected = await findTransfersAfterExpiry(userAddress, symbol, authCheck.expiresAt);
+
+    if (affected.length > 0) {
+      warning = {
+        message: authCheck.isExpired
+          ? `${symbol} authorization has expired, ${affected.length} pending transfer(s) cannot run until it is renewed`
+          : `${symbol} authorization expires in ${expiry.expiresInDays} day(s), ${affected.length} pending transfer(s) are scheduled after that`,
+        affectedTransfers: affected
+      };
+    }
+  }
+
+  return {
+    ...authCheck,
+    ...expiry,
+    ...spent,
+    remainingToday: authCheck.dailyLimit ? roundAmount(Math.max(authCheck.dailyLimit - spent.spentToday, 0)) : null,
+    remainingThisMonth: authCheck.monthlyLimit ? roundAmount(Math.max(authCheck.monthlyLimit - spent.spentThisMonth, 0)) : null,
+    warning
+  };
+};
+
+/**
+ * Warn wallets whose authorization expires within the warning window (or already expired)
+ * while they still have transfers scheduled after the expiry. Each expiry is warned about once
+ */
+const warnExpiringAuthorizations = async () => {
+  const now = new Date();
+  const warningEnd = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS);
+  const warnings = [];
+
+  const wallets = await ScheduledTransfer.aggregate([
+    { $match: { executionMethod: 'backend', status: { $in: PENDING_STATUSES } } },
+    { $group: { _id: { userAddress: '$userAddress', token: '$token' } } }
+  ]);
+
+  for (const { _id: { userAddress, token } } of wallets) {
+    const symbol = token || DEFAULT_TOKEN;
+
+    try {
+      const authCheck = await checkBackendAuthorization(userAddress, symbol);
+      if (!authCheck.isAuthorized || authCheck.isRevoked || !authCheck.expiresAt || authCheck.expiresAt > warningEnd) {
+        continue;
+      }
+
+      const affected = await findTransfersAfterExpiry(userAddress, symbol, authCheck.expiresAt);
+      if (affected.length === 0) {
+        continue;
+      }
+
+      try {
+        await AuthorizationExpiryWarning.create({
+          userAddress,
+          token: symbol,
+          expiresAt: authCheck.expiresAt,
+          affectedTransfers: affected.map(t => t._id)
+        });
+      } catch (error) {
+        // Already warned about this expiry
+        if (error.code === 11000) {
+          continue;
+        }
+        throw error;
+      }
+
+      const warning = {
+        userAddress,
+        token: symbol,
+        expiresAt: authCheck.expiresAt,
+        isExpired: authCheck.isExpired,
+        affectedTransfers: affected.map(t => t._id)
+      };
+
+      websocketServer.broadcastAuthorizationWarning(userAddress, warning);
+      console.log(`⏳ Warned ${userAddress}: ${symbol} authorization expires ${authCheck.expiresAt.toISOString()} before ${affected.length} pending transfer(s)`);
+
+      warnings.push(warning);
+    } catch (error) {
+      console.error(`Failed to check ${symbol} authorization expiry of ${userAddress}:`, error.message);
+    }
+  }
+
+  return warnings;
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  getSpentAmounts,
+  getPolicyViolation,
+  getAuthorizationStatus,
+  warnExpiringAuthorizations
+};
@@ -67,74 +67,19 @@ class AutoCompoundService {
     }
   }
 
-  async enableAutoCompound(userAddress, frequency) {
-    try {
-      const transaction = fs.readFileSync(
-        path.join(this.contractsPath, 'transactions/enable_auto_compound.cdc'),
-        'utf8'
-      );
-
-      const txId = await fcl.mutate({
-        cadence: transaction,
-        args: (arg, t) => [arg(frequency.toFixed(1), t.UFix64)],
-        proposer: fcl.currentUser,
-        payer: fcl.currentUser,
-        authorizations: [fcl.currentUser],
-        limit: 999
-      });
-
-      const tx = await fcl.tx(txId).onceSealed();
-      return { success: true, txId, transaction: tx };
-    } catch (error) {
-      console.error('Error enabling auto compound:', error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async disableAutoCompound(userAddress) {
-    try {
-      const transaction = fs.readFileSync(
-        path.join(this.contractsPath, 'transactions/disable_auto_compound.cdc'),
-        'utf8'
-      );
-
-      const txId = await fcl.mutate({
-        cadence: transaction,
-        proposer: fcl.currentUser,
-        payer: fcl.currentUser,
-        authorizations: [fcl.currentUser],
-        limit: 999
-      });
-
-      const tx = await fcl.tx(txId).onceSealed();
-      return { success: true, txId, transaction: tx };
-    } catch (error) {
-      console.error('Error disabling auto compound:', error);
-      return { success: false, error: error.message };
+  /**
+   * Cadence of an auto-compound transaction, for the user's wallet to sign
+   */
+  readTransaction(filename) {
+    const filePath = path.join(this.contractsPath, 'transactions', filename);
+
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(`Auto-compound transaction ${filename} is not available`);
+      error.statusCode = 503;
+      throw error;
     }
-  }
 
-  async executeCompound(userAddress) {
-    try {
-      const transaction = fs.readFileSync(
-        path.join(this.contractsPath, 'transactions/execute_compound.cdc'),
-        'utf8'
-      );
-
-      const txId = await fcl.mutate({
-        cadence: transaction,
-        proposer: fcl.currentUser,
-        payer: fcl.currentUser,
-        authorizations: [fcl.currentUser],
-        limit: 999
-      });
-
-      const tx = await fcl.tx(txId).onceSealed();
-      return { success: true, txId, transaction: tx };
-    } catch (error) {
-      console.error('Error executing compound:', error);
-      return { success: false, error: error.message };
-    }
+    return fs.readFileSync(filePath, 'utf8');
   }
 
   calculateProjectedAPY(stakedAmount, compoundFrequency) {
@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { DEFAULT_TOKEN, TOKEN_SYMBOLS, isSupportedToken, getToken, hasValidPrecision } = require('../config/tokens');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, parseZonedDate } = require('./timeZoneService');
+const { resolveRule } = require('./recurrenceEngine');
+const { checkBackendAuthorization } = require('./scheduledTransferFlowService');
+const { getSpentAmounts } = require('./authorizationPolicyService');
+const { checkNewCommitments } = require('./commitmentService');
+const { createRecurringTransfers } = require('./recurringTransferService');
+
+// Most rows one upload may contain
+const MAX_BULK_ROWS = parseInt(process.env.BULK_TRANSFER_MAX_ROWS || '500');
+
+const BULK_MODES = ['dry_run', 'commit'];
+
+// CSV header / JSON key aliases of row fields
+const FIELD_ALIASES = {
+  date: 'scheduledDate',
+  scheduleddate: 'scheduledDate',
+  frequency: 'recurringFrequency',
+  recurringfrequency: 'recurringFrequency',
+  recurrencerule: 'recurrenceRule',
+  enddate: 'recurringEndDate',
+  recurringenddate: 'recurringEndDate',
+  count: 'recurringCount',
+  recurringcount: 'recurringCount',
+  timezone: 'timeZone'
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse CSV text with a header row into one object per line
+ * Fields may be quoted, with "" for a quote inside a quoted field
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw createError('CSV has an unterminated quoted field', 400);
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+
+  return lines.map(values => Object.fromEntries(keys.map((key, index) => [key, values[index]])));
+};
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+/**
+ * Map a CSV or JSON row onto transfer fields; CSV values arrive as strings
+ */
+const normalizeRow = (raw) => {
+  const row = {};
+
+  for (const [key, value] of Object.entries(raw || {})) {
+    const normalizedKey = key.trim();
+    const field = FIELD_ALIASES[normalizedKey.toLowerCase()] || normalizedKey;
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+
+    if (trimmed !== '' && trimmed !== undefined && trimmed !== null) {
+      row[field] = trimmed;
+    }
+  }
+
+  row.amount = toNumber(row.amount);
+  row.recurringCount = toNumber(row.recurringCount);
+  row.token = typeof row.token === 'string' ? row.token.toUpperCase() : DEFAULT_TOKEN;
+
+  return row;
+};
+
+/**
+ * A date of a row; without an offset it is a wall-clock time in the row's time zone
+ */
+const parseRowDate = (row, value) => parseZonedDate(value, isValidTimeZone(row.timeZone) ? row.timeZone : DEFAULT_TIME_ZONE);
+
+/**
+ * Errors of a row that can be found without the chain: address format, amount, dates, recurrence
+ */
+const validateRow = (row, now) => {
+  const errors = [];
+
+  if (!row.title) {
+    errors.push('title is required');
+  }
+
+  if (!row.recipient || !/^0x[0-9a-fA-F]{16}$/.test(row.recipient)) {
+    errors.push('recipient must be a Flow address');
+  }
+
+  if (!isSupportedToken(row.token)) {
+    errors.push(`token must be one of: ${TOKEN_SYMBOLS.join(', ')}`);
+  }
+
+  if (typeof row.amount !== 'number' || !(row.amount > 0)) {
+    errors.push('amount must be a positive number');
+  } else if (isSupportedToken(row.token) && !hasValidPrecision(row.amount, row.token)) {
+    const { symbol, decimals } = getToken(row.token);
+    errors.push(`Amount ${row.amount} has more than the ${decimals} decimal places ${symbol} supports`);
+  }
+
+  const scheduledDate = parseRowDate(row, row.scheduledDate);
+  if (!row.scheduledDate || isNaN(scheduledDate.getTime())) {
+    errors.push('date must be a valid date');
+  } else if (scheduledDate <= now) {
+    errors.push('date must be in the future');
+  }
+
+  if (row.timeZone !== undefined && !isValidTimeZone(row.timeZone)) {
+    errors.push('timeZone must be a valid IANA time zone, e.g. Europe/Berlin');
+  }
+
+  if (row.recurringFrequency) {
+    try {
+      resolveRule(row);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (row.recurringEndDate !== undefined) {
+      const endDate = parseRowDate(row, row.recurringEndDate);
+      if (isNaN(endDate.getTime()) || endDate <= scheduledDate) {
+        errors.push('recurringEndDate must be a valid date after date');
+      }
+    }
+
+    if (row.recurringCount !== undefined && (!Number.isInteger(row.recurringCount) || row.recurringCount < 1)) {
+      errors.push('recurringCount must be a positive whole number');
+    }
+  } else if (row.recurrenceRule || row.recurringEndDate !== undefined || row.recurringCount !== undefined) {
+    errors.push('recurrenceRule, recurringEndDate and recurringCount need a frequency');
+  }
+
+  return errors;
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Check the valid rows of one token against the wallet's backend authorization: maximum per
+ * transfer, allowed recipients, expiry and daily / monthly limits (rows on the same UTC day or
+ * month count together, with what was already spent today and this month)
+ */
+const checkAuthorizationLimits = async (userAddress, token, entries, now) => {
+  const authCheck = await checkBackendAuthorization(userAddress, token);
+
+  if (!authCheck.isAuthorized || authCheck.isRevoked) {
+    entries.forEach(entry => entry.warnings.push(`Backend is not authorized for ${token} yet, sign an authorization before the first transfer is due`));
+    return;
+  }
+
+  const maxAmountPerTransfer = parseFloat(authCheck.maxAmountPerTransfer);
+  const allowedRecipients = (authCheck.allowedRecipients || []).map(address => address.toLowerCase());
+  const spent = await getSpentAmounts(userAddress, token, now);
+  const dayTotals = { [dayKey(now)]: spent.spentToday };
+  const monthTotals = { [monthKey(now)]: spent.spentThisMonth };
+
+  for (const entry of entries) {
+    const row = entry.data;
+    const scheduledDate = parseRowDate(row, row.scheduledDate);
+
+    if (row.amount > maxAmountPerTransfer) {
+      entry.errors.push(`Transfer amount ${row.amount} exceeds authorized ${token} maximum ${maxAmountPerTransfer}`);
+    }
+
+    if (allowedRecipients.length > 0 && !allowedRecipients.includes(row.recipient.toLowerCase())) {
+      entry.errors.push(`Recipient ${row.recipient} is not an allowed recipient of the ${token} authorization`);
+    }
+
+    if (authCheck.expiresAt && scheduledDate >= authCheck.expiresAt) {
+      entry.errors.push(`${token} authorization expires ${authCheck.expiresAt.toISOString()}, before this transfer is due`);
+    }
+
+    const day = dayKey(scheduledDate);
+    const month = monthKey(scheduledDate);
+    dayTotals[day] = Number(((dayTotals[day] || 0) + row.amount).toFixed(8));
+    monthTotals[month] = Number(((monthTotals[month] || 0) + row.amount).toFixed(8));
+
+    if (authCheck.dailyLimit && dayTotals[day] > authCheck.dailyLimit) {
+      entry.errors.push(`Transfers on ${day} total ${dayTotals[day]} ${token}, over the daily limit of ${authCheck.dailyLimit}`);
+    }
+
+    if (authCheck.monthlyLimit && monthTotals[month] > authCheck.monthlyLimit) {
+      entry.errors.push(`Transfers in ${month} total ${monthTotals[month]} ${token}, over the monthly limit of ${authCheck.monthlyLimit}`);
+    }
+  }
+};
+
+const toTransferData = (userAddress, row) => ({
+  userAddress,
+  title: row.title,
+  description: row.description,
+  recipient: row.recipient,
+  amount: row.amount,
+  token: getToken(row.token).symbol,
+  scheduledDate: parseRowDate(row, row.scheduledDate),
+  timeZone: row.timeZone,
+  recurringFrequency: row.recurringFrequency,
+  recurrenceRule: row.recurringFrequency === 'custom' ? row.recurrenceRule : undefined,
+  recurringEndDate: row.recurringEndDate ? parseRowDate(row, row.recurringEndDate) : undefined,
+  recurringCount: row.recurringCount
+});
+
+/**
+ * Whether the connected MongoDB supports multi-document transactions, which need a replica set
+ * or a sharded cluster (mongos); a standalone server rejects them
+ */
+const supportsTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+/**
+ * Validate every row of an upload and report per row
+ * Rows are numbered from 1 in upload order (the CSV header is not a row)
+ */
+const validateRows = async (userAddress, rawRows) => {
+  if (!Array.isArray(rawRows) || rawRows.length === 0) {
+    throw createError('Upload contains no rows', 400);
+  }
+
+  if (rawRows.length > MAX_BULK_ROWS) {
+    throw createError(`Upload contains ${rawRows.length} rows, at most ${MAX_BULK_ROWS} are allowed`, 400);
+  }
+
+  const now = new Date();
+  const entries = rawRows.map((raw, index) => {
+    const data = normalizeRow(raw);
+    return { row: index + 1, data, errors: validateRow(data, now), warnings: [] };
+  });
+
+  const byToken = {};
+  for (const entry of entries.filter(e => e.errors.length === 0)) {
+    const { symbol } = getToken(entry.data.token);
+    (byToken[symbol] = byToken[symbol] || []).push(entry);
+  }
+
+  for (const [token, tokenEntries] of Object.entries(byToken)) {
+    await checkAuthorizationLimits(userAddress, token, tokenEntries, now);
+
+    // The wallet has to cover the whole upload on top of what it already committed to
+    const fundable = tokenEntries.filter(entry => entry.errors.length === 0);
+    if (fundable.length > 0) {
+      const commitment = await checkNewCommitments(fundable.map(entry => toTransferData(userAddress, entry.data)));
+      if (!commitment.isAllowed) {
+        commitment.indexes.forEach(index => fundable[index].errors.push(commitment.error));
+      }
+    }
+  }
+
+  return entries.map(entry => ({
+    row: entry.row,
+    valid: entry.errors.length === 0,
+    errors: entry.errors,
+    warnings: entry.warnings,
+    transfer: entry.errors.length === 0 ? toTransferData(userAddress, entry.data) : entry.data
+  }));
+};
+
+/**
+ * Bulk create scheduled transfers from CSV or JSON rows
+ * (recipient, amount, date, title, optional description, token, timeZone and recurrence)
+ * 'dry_run' only returns the per-row report; 'commit' creates every transfer in one MongoDB
+ * transaction, and nothing when any row is invalid
+ */
+const bulkCreateTransfers = async (userAddress, rawRows, mode = 'dry_run') => {
+  if (!BULK_MODES.includes(mode)) {
+    throw createError(`mode must be one of: ${BULK_MODES.join(', ')}`, 400);
+  }
+
+  const rows = await validateRows(userAddress, rawRows);
+  const invalid = rows.filter(row => !row.valid).length;
+
+  const report = {
+    mode,
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    rows
+  };
+
+  if (mode === 'dry_run' || invalid > 0) {
+    return { ...report, committed: false };
+  }
+
+  // Without a transaction a failed row would leave the rows before it saved
+  if (!(await supportsTransactions())) {
+    throw createError('Bulk commit needs MongoDB running as a replica set or sharded cluster, a standalone server does not support transactions', 503);
+  }
+
+  const session = await mongoose.startSession();
+  const created = [];
+
+  try {
+    await session.withTransaction(async () => {
+      created.length = 0;
+
+      for (const { transfer } of rows) {
+        if (transfer.recurringFrequency) {
+          const result = await createRecurringTransfers({ ...transfer, catchUpPolicy: 'run_all', retryLimit: 3 }, { session });
+          created.push(result.parent);
+        } else {
+          const scheduledTransfer = new ScheduledTransfer({ ...transfer, status: 'scheduled' });
+          await scheduledTransfer.save({ session });
+          created.push(scheduledTransfer);
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`📥 Bulk created ${created.length} scheduled transfers for ${userAddress}`);
+
+  return {
+    ...report,
+    committed: true,
+    rows: rows.map((row, index) => ({ ...row, transferId: created[index]._id })),
+    data: created
+  };
+};
+
+module.exports = {
+  BULK_MODES,
+  MAX_BULK_ROWS,
+  parseCsv,
+  bulkCreateTransfers
+};
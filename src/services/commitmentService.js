@@ -0,0 +1,300 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { fcl } = require('../config/flow');
+const { resolveRule, listOccurrences } = require('./recurrenceEngine');
+const { getTokenBalance, checkBackendAuthorization } = require('./scheduledTransferFlowService');
+const { DEFAULT_TOKEN, getToken, tokenQuery } = require('../config/tokens');
+const { getRecipientPayments, getUnpaidPayments, sumPayments } = require('./scheduledTransferService');
+
+// How far ahead recurring series are projected
+const HORIZON_DAYS = parseInt(process.env.COMMITMENT_HORIZON_DAYS || '90');
+
+const getHorizonEnd = (horizonDays = HORIZON_DAYS) => {
+  const end = new Date();
+  end.setDate(end.getDate() + horizonDays);
+  return end;
+};
+
+/**
+ * Occurrence dates of a recurring series after `afterDate`, up to the horizon, the series
+ * end date or its occurrence count. The series start (scheduledDate) anchors the schedule
+ */
+const projectOccurrences = (series, afterDate, horizonEnd) => {
+  const endDate = series.recurringEndDate ? new Date(series.recurringEndDate) : null;
+
+  return listOccurrences(resolveRule(series), series.scheduledDate, {
+    after: afterDate,
+    until: endDate && endDate < horizonEnd ? endDate : horizonEnd,
+    count: series.recurringCount
+  });
+};
+
+/**
+ * Whether an existing transfer is left out of the commitments because it is being edited:
+ * the transfer itself, or a recurring series and its instances from the edit on
+ */
+const isExcluded = (transfer, { transferId, seriesId, fromDate } = {}) => {
+  if (transferId && transfer._id.equals(transferId)) {
+    return true;
+  }
+
+  if (!seriesId) {
+    return false;
+  }
+
+  return transfer._id.equals(seriesId) ||
+    (!!transfer.parentRecurringId && transfer.parentRecurringId.equals(seriesId) && transfer.scheduledDate >= fromDate);
+};
+
+/**
+ * Every outgoing payment of a token a wallet has committed to within the horizon
+ * Existing instances count what they still have to pay; recurring series add the
+ * instances that will be generated after the latest one. Overdue transfers count as now
+ * exclude leaves out transfers that are being replaced by an edit, see isExcluded
+ */
+const getCommitmentEntries = async (userAddress, token, horizonEnd, exclude) => {
+  const now = new Date();
+
+  const [instances, series] = await Promise.all([
+    ScheduledTransfer.find({
+      userAddress,
+      token: tokenQuery(token),
+      isRecurring: { $ne: true },
+      executionMethod: 'backend',
+      status: { $in: ['scheduled', 'executing'] },
+      scheduledDate: { $lte: horizonEnd }
+    }),
+    ScheduledTransfer.find({
+      userAddress,
+      token: tokenQuery(token),
+      isRecurring: true,
+      executionMethod: 'backend',
+      status: 'scheduled'
+    })
+  ]);
+
+  const entries = instances.filter(transfer => !isExcluded(transfer, exclude)).map(transfer => ({
+    date: transfer.scheduledDate < now ? now : transfer.scheduledDate,
+    amount: sumPayments(getUnpaidPayments(transfer)),
+    transferId: transfer._id,
+    parentRecurringId: transfer.parentRecurringId || null,
+    title: transfer.title,
+    projected: false
+  }));
+
+  for (const parent of series.filter(transfer => !isExcluded(transfer, exclude))) {
+    const amount = sumPayments(getRecipientPayments(parent));
+    const latest = parent.nextScheduledDate || parent.scheduledDate;
+
+    projectOccurrences(parent, latest, horizonEnd).forEach(date => {
+      entries.push({
+        date,
+        amount,
+        transferId: null,
+        parentRecurringId: parent._id,
+        title: parent.title.replace(' (Recurring)', ''),
+        projected: true
+      });
+    });
+  }
+
+  return entries;
+};
+
+// Projected occurrences have no transfer id yet
+const entryKey = (entry) => entry.transferId
+  ? entry.transferId.toString()
+  : `${entry.parentRecurringId}:${entry.date.getTime()}`;
+
+/**
+ * Walk the commitments in date order, drawing down the balance
+ */
+const projectBalance = (balance, entries) => {
+  let remaining = balance;
+
+  return [...entries]
+    .sort((a, b) => a.date - b.date)
+    .map(entry => {
+      remaining -= entry.amount;
+      return {
+        ...entry,
+        balanceAfter: Number(remaining.toFixed(8)),
+        isFunded: remaining >= 0
+      };
+    });
+};
+
+/**
+ * Commitments timeline of a wallet for one token: projected balance after every scheduled and
+ * recurring transfer within the horizon, and the dates where it goes negative
+ */
+const getCommitments = async (userAddress, { horizonDays = HORIZON_DAYS, token = DEFAULT_TOKEN } = {}) => {
+  const { symbol } = getToken(token);
+  const horizonEnd = getHorizonEnd(horizonDays);
+
+  const [balance, entries] = await Promise.all([
+    getTokenBalance(userAddress, symbol),
+    getCommitmentEntries(userAddress, symbol, horizonEnd)
+  ]);
+
+  const timeline = projectBalance(balance, entries);
+  const unfunded = timeline.filter(entry => !entry.isFunded);
+  const totalCommitted = sumPayments(timeline);
+
+  return {
+    userAddress,
+    token: symbol,
+    balance,
+    horizonEnd,
+    totalCommitted,
+    projectedBalance: Number((balance - totalCommitted).toFixed(8)),
+    firstShortfallDate: unfunded.length > 0 ? unfunded[0].date : null,
+    shortfallDates: [...new Set(unfunded.map(entry => entry.date.toISOString()))],
+    timeline
+  };
+};
+
+/**
+ * Check whether new transfers (or recurring series) of one wallet and token fit its commitments
+ * Rejected when a payment exceeds the maximum authorized for its token, or when the new occurrences
+ * would leave themselves or previously funded commitments of that token without enough balance
+ * transfers are unsaved transfer data; recurring series pass recurringFrequency, recurrenceRule,
+ * recurringEndDate and recurringCount. A rejection carries the index of the first transfer it is
+ * about, and indexes of every transfer it applies to (each new transfer left short of balance)
+ * exclude leaves out existing transfers the new ones replace
+ */
+const checkNewCommitments = async (transfers, { horizonDays = HORIZON_DAYS, exclude } = {}) => {
+  const { userAddress } = transfers[0];
+  const { symbol } = getToken(transfers[0].token);
+  const horizonEnd = getHorizonEnd(horizonDays);
+
+  const [balance, entries, authCheck] = await Promise.all([
+    getTokenBalance(userAddress, symbol),
+    getCommitmentEntries(userAddress, symbol, horizonEnd, exclude),
+    checkBackendAuthorization(userAddress, symbol)
+  ]);
+
+  const newEntries = [];
+
+  for (const [index, transfer] of transfers.entries()) {
+    const payments = getRecipientPayments(transfer);
+    const amount = sumPayments(payments);
+
+    // The cap only applies once the backend has been authorized
+    if (authCheck.isAuthorized && !authCheck.isRevoked) {
+      const maxAmountPerTransfer = parseFloat(authCheck.maxAmountPerTransfer);
+      const overLimit = payments.find(p => p.amount > maxAmountPerTransfer);
+
+      if (overLimit) {
+        return {
+          isAllowed: false,
+          index,
+          indexes: [index],
+          error: `Transfer amount ${overLimit.amount} exceeds authorized ${symbol} maximum ${maxAmountPerTransfer}`
+        };
+      }
+
+      const allowedRecipients = authCheck.allowedRecipients || [];
+      const notAllowed = allowedRecipients.length > 0
+        ? payments.find(p => !allowedRecipients.includes(fcl.withPrefix(p.recipient).toLowerCase()))
+        : null;
+
+      if (notAllowed) {
+        return {
+          isAllowed: false,
+          index,
+          indexes: [index],
+          error: `Recipient ${notAllowed.recipient} is not an allowed recipient of the ${symbol} authorization`
+        };
+      }
+    }
+
+    const startDate = new Date(transfer.scheduledDate);
+    const newDates = [startDate];
+    if (transfer.recurringFrequency) {
+      newDates.push(...projectOccurrences(transfer, startDate, horizonEnd));
+    }
+
+    newEntries.push(...newDates.map(date => ({ date, amount, transferId: null, title: transfer.title, projected: true, isNew: true, index })));
+  }
+
+  const before = projectBalance(balance, entries);
+  const after = projectBalance(balance, [...entries, ...newEntries]);
+
+  const wasFunded = new Set(before.filter(entry => entry.isFunded).map(entryKey));
+  const broken = after.filter(entry => !entry.isFunded && (entry.isNew || wasFunded.has(entryKey(entry))));
+
+  if (broken.length > 0) {
+    // A new transfer that no longer fits is short itself; an older one that no longer fits was
+    // pushed out by the latest new transfer before it
+    const shortIndexes = broken.map(brokenEntry => {
+      if (brokenEntry.isNew) {
+        return brokenEntry.index;
+      }
+      const pushedBy = after.filter(entry => entry.isNew && entry.date <= brokenEntry.date).pop();
+      return pushedBy ? pushedBy.index : 0;
+    });
+    const indexes = [...new Set(shortIndexes)].sort((a, b) => a - b);
+
+    return {
+      isAllowed: false,
+      index: shortIndexes[0],
+      indexes,
+      error: `Transfer would commit more ${symbol} than the wallet balance covers`,
+      balance,
+      committed: sumPayments(entries),
+      required: sumPayments(newEntries),
+      firstShortfallDate: broken[0].date
+    };
+  }
+
+  return {
+    isAllowed: true,
+    balance,
+    committed: sumPayments(entries),
+    required: sumPayments(newEntries)
+  };
+};
+
+/**
+ * Check whether one new transfer (or recurring series) fits the wallet's commitments
+ */
+const checkNewCommitment = (transfer, options) => checkNewCommitments([transfer], options);
+
+/**
+ * Check whether an edit fits the wallet's commitments, in place of what it replaces
+ * Without series the edited transfer is replaced by its edited version. With series (the parent
+ * of a series edit) the series and its instances from the first edited occurrence on are
+ * replaced by the edited series. changes holds the edited fields, undefined ones are kept
+ */
+const checkEditedCommitment = async (transfer, changes, { series, horizonDays } = {}) => {
+  const edited = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+  if (!series) {
+    return checkNewCommitments(
+      [{ ...transfer.toObject(), recurringFrequency: undefined, ...edited }],
+      { horizonDays, exclude: { transferId: transfer._id } }
+    );
+  }
+
+  let fromDate = edited.scheduledDate || (transfer.isRecurring ? null : transfer.scheduledDate);
+  if (!fromDate) {
+    const firstPending = await ScheduledTransfer.findOne({
+      parentRecurringId: series._id,
+      status: { $in: ['scheduled', 'paused'] }
+    }).sort({ scheduledDate: 1 });
+
+    fromDate = firstPending ? firstPending.scheduledDate : (series.nextScheduledDate || series.scheduledDate);
+  }
+
+  return checkNewCommitments(
+    [{ ...series.toObject(), ...edited, scheduledDate: fromDate }],
+    { horizonDays, exclude: { seriesId: series._id, fromDate } }
+  );
+};
+
+module.exports = {
+  getCommitments,
+  checkNewCommitment,
+  checkNewCommitments,
+  checkEditedCommitment
+};
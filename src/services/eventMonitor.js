@@ -1,5 +1,6 @@
 const axios = require('axios');
 const fcl = require('@onflow/fcl');
+const { isWorkerPaused } = require('./workerStateService');
 
 class EventMonitor {
   constructor() {
@@ -7,6 +8,7 @@ class EventMonitor {
     this.pollInterval = 5000; // 5 seconds
     this.intervalId = null;
     this.contractAddress = process.env.FLOW_CONTRACT_ACCOUNT || '0x8401ed4fc6788c8a';
+    this.schedulerAddress = process.env.FLOW_TRANSACTION_SCHEDULER_ADDRESS || '0x8c5303eaa26202d6';
     this.lastBlockHeight = null;
     this.eventCallbacks = new Map();
   }
@@ -38,6 +40,14 @@ class EventMonitor {
     console.log('Event monitor stopped');
   }
 
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      pollInterval: this.pollInterval,
+      lastBlockHeight: this.lastBlockHeight
+    };
+  }
+
   async initializeBlockHeight() {
     try {
       const block = await fcl.block({ sealed: true });
@@ -51,6 +61,10 @@ class EventMonitor {
 
   async pollEvents() {
     try {
+      if (await isWorkerPaused('event-monitor')) {
+        return;
+      }
+
       const currentBlock = await fcl.block({ sealed: true });
       const currentHeight = currentBlock.height;
 
@@ -77,6 +91,10 @@ class EventMonitor {
       `A.${this.contractAddress.replace('0x', '')}.FrothRewards.FrothStakedEvent`,
       `A.${this.contractAddress.replace('0x', '')}.FrothRewards.FrothUnstakedEvent`,
       `A.${this.contractAddress.replace('0x', '')}.FrothRewards.PremiumDiscountAppliedEvent`,
+      // Flow-native scheduled transfers, Executed before TransferExecuted so executions are known first
+      `A.${this.schedulerAddress.replace('0x', '')}.FlowTransactionScheduler.Executed`,
+      `A.${this.schedulerAddress.replace('0x', '')}.FlowTransactionScheduler.Canceled`,
+      `A.${this.contractAddress.replace('0x', '')}.ScheduledTransfer.TransferExecuted`,
     ];
 
     for (const eventType of eventTypes) {
@@ -87,7 +105,9 @@ class EventMonitor {
 
         if (events && events.length > 0) {
           console.log(`[EventMonitor] Found ${events.length} ${eventType.split('.').pop()} event(s)`);
-          events.forEach(event => this.handleEvent(event));
+          for (const event of events) {
+            await this.handleEvent(event);
+          }
         }
       } catch (error) {
         // Silently continue if event type doesn't exist
@@ -98,21 +118,21 @@ class EventMonitor {
     }
   }
 
-  handleEvent(event) {
+  async handleEvent(event) {
     const eventType = event.type.split('.').pop();
     const eventData = event.data;
 
     console.log(`[EventMonitor] ${eventType}:`, JSON.stringify(eventData, null, 2));
 
-    // Trigger registered callbacks
+    // Trigger registered callbacks, waiting for them so events are handled in order
     const callbacks = this.eventCallbacks.get(eventType) || [];
-    callbacks.forEach(callback => {
+    for (const callback of callbacks) {
       try {
-        callback(eventData, event);
+        await callback(eventData, event);
       } catch (error) {
         console.error(`[EventMonitor] Error in callback for ${eventType}:`, error.message);
       }
-    });
+    }
 
     // Broadcast to WebSocket clients if available
     if (global.wss) {
@@ -0,0 +1,193 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { fcl } = require('../config/flow');
+const { getCancelScheduledTransferTransaction } = require('./scheduledTransferFlowService');
+const { verifyAuthorizer, trackTransaction, refreshTransaction, ACTIVE_STATUSES } = require('./transactionTrackerService');
+const websocketServer = require('./websocketServer');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeAddress = (address) => fcl.withPrefix(address).toLowerCase();
+
+/**
+ * Transaction the user signs to cancel a Flow-native transfer on chain
+ * The transfer stays 'scheduled' until the user reports the signed transaction
+ */
+const getCancellationTransaction = (transfer) => {
+  if (transfer.status !== 'scheduled') {
+    throw createError('Can only cancel transfers with status "scheduled"', 400);
+  }
+
+  if (!transfer.scheduledTxId) {
+    throw createError('Transfer has no scheduled transaction id and cannot be cancelled on chain', 400);
+  }
+
+  return getCancelScheduledTransferTransaction(transfer.scheduledTxId);
+};
+
+/**
+ * Record the cancel transaction the user sent and mark the transfer 'cancelling'
+ * The wallet must be an authorizer of the transaction. It is only marked 'cancelled' once
+ * the cancellation is sealed. Returns the updated transfer, 409 when it is no longer 'scheduled'
+ */
+const submitCancellation = async (transfer, cancelTransactionId) => {
+  if (!cancelTransactionId || !/^[0-9a-fA-F]{64}$/.test(cancelTransactionId)) {
+    throw createError('transactionId must be a 64 character hex transaction id', 400);
+  }
+
+  if (transfer.status === 'cancelling' && transfer.cancelTransactionId === cancelTransactionId) {
+    return transfer;
+  }
+
+  getCancellationTransaction(transfer);
+
+  // Only a transaction the owner's wallet signed can stand for its cancellation
+  await verifyAuthorizer(cancelTransactionId, transfer.userAddress);
+
+  // A fallen back transfer may have been claimed for backend execution meanwhile
+  const cancelling = await ScheduledTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'scheduled' },
+    {
+      $set: {
+        status: 'cancelling',
+        cancelTransactionId,
+        cancelRequestedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!cancelling) {
+    throw createError('Transfer is no longer scheduled and cannot be cancelled', 409);
+  }
+
+  await trackTransaction({
+    txId: cancelTransactionId,
+    type: 'cancel_scheduled_transfer',
+    userAddress: cancelling.userAddress,
+    params: { transferId: cancelling._id, scheduledTxId: cancelling.scheduledTxId }
+  });
+
+  websocketServer.broadcastTransactionUpdate(cancelTransactionId, cancelling.status, {
+    transferId: cancelling._id,
+    userAddress: cancelling.userAddress
+  });
+
+  return cancelling;
+};
+
+/**
+ * Mark a Flow-native transfer cancelled on chain by a sealed cancel transaction
+ */
+const markCancelled = async (transfer, { transactionId, cancelledAt, refundedFee }) => {
+  transfer.status = 'cancelled';
+  transfer.cancelTransactionId = transactionId;
+  transfer.cancelledAt = cancelledAt || new Date();
+  if (refundedFee !== undefined && refundedFee !== null) {
+    transfer.refundedFee = parseFloat(refundedFee);
+  }
+  transfer.errorMessage = undefined;
+  await transfer.save();
+
+  console.log(`🚫 Flow-native transfer ${transfer._id} cancelled on chain`);
+
+  websocketServer.broadcastTransactionUpdate(transactionId, transfer.status, {
+    transferId: transfer._id,
+    userAddress: transfer.userAddress,
+    refundedFee: transfer.refundedFee
+  });
+
+  return transfer;
+};
+
+/**
+ * Finish a cancellation once its transaction sealed or expired
+ * A sealed cancellation of the transfer's scheduled transaction marks it 'cancelled' with the
+ * refunded fee; a failed or expired one puts the transfer back to 'scheduled'
+ * Returns null while the cancellation is still in flight
+ */
+const reconcileCancellation = async (transfer) => {
+  const tracked = await trackTransaction({
+    txId: transfer.cancelTransactionId,
+    type: 'cancel_scheduled_transfer',
+    userAddress: transfer.userAddress,
+    params: { transferId: transfer._id, scheduledTxId: transfer.scheduledTxId }
+  });
+
+  if (ACTIVE_STATUSES.includes(tracked.status)) {
+    await refreshTransaction(tracked);
+  }
+
+  if (ACTIVE_STATUSES.includes(tracked.status)) {
+    return null;
+  }
+
+  const canceledEvent = tracked.status === 'sealed' && !tracked.errorMessage && tracked.events.find(event =>
+    event.type.endsWith('FlowTransactionScheduler.Canceled') &&
+    String(event.data.id) === transfer.scheduledTxId &&
+    normalizeAddress(event.data.transactionHandlerOwner) === normalizeAddress(transfer.userAddress)
+  );
+
+  if (canceledEvent) {
+    return markCancelled(transfer, {
+      transactionId: tracked.txId,
+      cancelledAt: tracked.sealedAt,
+      refundedFee: canceledEvent.data.feesReturned
+    });
+  }
+
+  transfer.status = 'scheduled';
+  transfer.errorMessage = `Cancellation failed: ${tracked.errorMessage || `transaction ${tracked.status} without cancelling the scheduled transaction`}`;
+  transfer.cancelTransactionId = undefined;
+  transfer.cancelRequestedAt = undefined;
+  await transfer.save();
+
+  console.log(`⚠️  Cancellation of Flow-native transfer ${transfer._id} failed, it is still scheduled`);
+
+  websocketServer.broadcastTransactionUpdate(tracked.txId, transfer.status, {
+    transferId: transfer._id,
+    userAddress: transfer.userAddress,
+    errorMessage: transfer.errorMessage
+  });
+
+  return transfer;
+};
+
+/**
+ * Finish every Flow-native cancellation that sealed or expired, including transfers that fell
+ * back to the backend while their schedule was still pending on chain
+ */
+const reconcileCancellations = async () => {
+  const cancelling = await ScheduledTransfer.find({
+    $or: [{ executionMethod: 'flow_native' }, { fallbackAt: { $exists: true } }],
+    status: 'cancelling',
+    cancelTransactionId: { $exists: true }
+  });
+
+  const results = [];
+
+  for (const transfer of cancelling) {
+    try {
+      const reconciled = await reconcileCancellation(transfer);
+
+      if (reconciled) {
+        results.push({ transferId: reconciled._id, status: reconciled.status });
+      }
+    } catch (error) {
+      console.error(`Error reconciling cancellation of transfer ${transfer._id}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  getCancellationTransaction,
+  submitCancellation,
+  markCancelled,
+  reconcileCancellation,
+  reconcileCancellations
+};
@@ -0,0 +1,119 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { SCHEDULER_STATUSES, checkBackendAuthorization, getScheduledTransaction } = require('./scheduledTransferFlowService');
+const { getSpentAmounts, getPolicyViolation } = require('./authorizationPolicyService');
+const websocketServer = require('./websocketServer');
+
+// Flow-native transfers that have not executed this long after scheduledDate fall back to the backend
+const FALLBACK_GRACE_MS = parseInt(process.env.FLOW_NATIVE_FALLBACK_GRACE_MS || '600000'); // 10 minutes
+
+/**
+ * Why the backend cannot execute a Flow-native transfer in its place, or null when it can
+ */
+const getFallbackBlocker = async (transfer) => {
+  // Low priority transfers have no guaranteed execution time, they may still run on chain
+  if (transfer.schedulePriority === 'Low') {
+    return 'Low priority transfers are not executed by the backend';
+  }
+
+  const scheduled = await getScheduledTransaction(transfer.scheduledTxId);
+  if (!scheduled || scheduled.status !== SCHEDULER_STATUSES.SCHEDULED) {
+    return `Scheduled transaction ${transfer.scheduledTxId} is no longer pending on chain`;
+  }
+
+  const authCheck = await checkBackendAuthorization(transfer.userAddress, transfer.token);
+  if (!authCheck.isAuthorized || authCheck.isRevoked) {
+    return `Backend is not authorized to execute ${authCheck.token} transfers for this wallet`;
+  }
+
+  if (transfer.amount > parseFloat(authCheck.maxAmountPerTransfer)) {
+    return `Transfer amount ${transfer.amount} exceeds authorized maximum ${authCheck.maxAmountPerTransfer}`;
+  }
+
+  const spent = await getSpentAmounts(transfer.userAddress, transfer.token);
+  return getPolicyViolation(authCheck, [{ recipient: transfer.recipient, amount: transfer.amount }], spent);
+};
+
+/**
+ * Whether the scheduled transaction behind a transfer that fell back to the backend is still
+ * pending on chain. The backend must not pay once the scheduler executed or cancelled it
+ */
+const isStillScheduledOnChain = async (transfer) => {
+  const scheduled = await getScheduledTransaction(transfer.scheduledTxId);
+  return !!scheduled && scheduled.status === SCHEDULER_STATUSES.SCHEDULED;
+};
+
+/**
+ * Hand a transfer that fell back to the backend back to on-chain settlement because its
+ * scheduled transaction left the pending state before the backend paid it
+ * The Flow scheduler monitor then settles it from the scheduler's status
+ */
+const returnToFlowNative = async (transfer) => {
+  transfer.executionMethod = 'flow_native';
+  transfer.status = 'executing';
+  transfer.lockOwner = undefined;
+  transfer.lockExpiresAt = undefined;
+  await transfer.save();
+
+  console.log(`🔁 Transfer ${transfer._id} is no longer pending on chain, leaving it to the scheduler`);
+  return transfer;
+};
+
+/**
+ * Switch a Flow-native transfer that did not execute within the grace window to backend
+ * execution, when the wallet has a valid backend authorization covering it
+ * The switch happens at most once; the scheduled transfer cron then executes it as a due
+ * backend transfer. The on-chain schedule stays pending until the backend's payment transaction
+ * cancels it, so a late scheduler execution takes the transfer back while it is still
+ * 'scheduled' and makes that payment transaction fail. Returns the switched transfer, or null
+ */
+const fallBackToBackend = async (transfer) => {
+  if (transfer.fallbackAt || Date.now() - transfer.scheduledDate.getTime() < FALLBACK_GRACE_MS) {
+    return null;
+  }
+
+  const blocker = await getFallbackBlocker(transfer);
+  if (blocker) {
+    if (transfer.fallbackError !== blocker) {
+      transfer.fallbackError = blocker;
+      await transfer.save();
+      console.log(`⚠️  Flow-native transfer ${transfer._id} missed its execution, no backend fallback: ${blocker}`);
+    }
+    return null;
+  }
+
+  const switched = await ScheduledTransfer.findOneAndUpdate(
+    {
+      _id: transfer._id,
+      executionMethod: 'flow_native',
+      status: 'scheduled',
+      fallbackAt: { $exists: false }
+    },
+    {
+      $set: { executionMethod: 'backend', fallbackAt: new Date() },
+      $unset: { fallbackError: 1 }
+    },
+    { new: true }
+  );
+
+  if (!switched) {
+    return null;
+  }
+
+  console.log(`🔁 Flow-native transfer ${switched._id} did not execute on chain, falling back to backend execution`);
+
+  websocketServer.broadcastTransactionUpdate(switched.transactionId || null, 'fallback_to_backend', {
+    transferId: switched._id,
+    userAddress: switched.userAddress,
+    scheduledTxId: switched.scheduledTxId,
+    fallbackAt: switched.fallbackAt
+  });
+
+  return switched;
+};
+
+module.exports = {
+  FALLBACK_GRACE_MS,
+  isStillScheduledOnChain,
+  returnToFlowNative,
+  fallBackToBackend
+};
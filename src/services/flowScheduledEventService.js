@@ -0,0 +1,289 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const { trackTransaction, refreshTransaction, ACTIVE_STATUSES } = require('./transactionTrackerService');
+const { markCancelled } = require('./flowCancellationService');
+const { SCHEDULER_STATUSES, getScheduledTransaction } = require('./scheduledTransferFlowService');
+const websocketServer = require('./websocketServer');
+
+// Statuses a Flow-native transfer can still leave because of a scheduler event
+const OPEN_STATUSES = ['scheduled', 'executing', 'cancelling'];
+
+// A transfer the scheduler no longer knows this long after its date, without a recorded
+// execution or cancellation, is failed for manual review
+const UNRESOLVED_DEADLINE_MS = parseInt(process.env.FLOW_NATIVE_UNRESOLVED_DEADLINE_MS || '86400000'); // 24 hours
+
+const findByScheduledTxId = (scheduledTxId) => {
+  return ScheduledTransfer.findOne({
+    executionMethod: 'flow_native',
+    scheduledTxId: String(scheduledTxId),
+    status: { $in: OPEN_STATUSES }
+  });
+};
+
+// Transfers that fell back to the backend keep their on-chain schedule until it is cancelled
+const findCancellableByScheduledTxId = (scheduledTxId) => {
+  return ScheduledTransfer.findOne({
+    $or: [{ executionMethod: 'flow_native' }, { fallbackAt: { $exists: true } }],
+    scheduledTxId: String(scheduledTxId),
+    status: { $in: ['scheduled', 'cancelling'] }
+  });
+};
+
+const broadcastOutcome = (transfer) => {
+  websocketServer.broadcastTransactionUpdate(transfer.executionTransactionId, transfer.status, {
+    transferId: transfer._id,
+    userAddress: transfer.userAddress,
+    scheduledTxId: transfer.scheduledTxId,
+    executionBlockHeight: transfer.executionBlockHeight,
+    errorMessage: transfer.errorMessage
+  });
+};
+
+/**
+ * Mark a Flow-native transfer completed by its execution transaction
+ */
+const markCompleted = async (transfer, paidAt) => {
+  transfer.status = 'completed';
+  transfer.errorMessage = undefined;
+  transfer.transactionIds = [{
+    recipientIndex: 0,
+    recipient: transfer.recipient,
+    amount: transfer.amount,
+    transactionId: transfer.executionTransactionId,
+    status: 'completed',
+    paidAt
+  }];
+  await transfer.save();
+
+  console.log(`✅ Flow-native transfer ${transfer._id} executed (TX: ${transfer.executionTransactionId})`);
+  broadcastOutcome(transfer);
+  return transfer;
+};
+
+/**
+ * Settle a Flow-native transfer from its sealed execution transaction
+ * When the outcome is not known yet the transfer stays 'executing'
+ */
+const applyExecutionOutcome = async (transfer) => {
+  const tracked = await trackTransaction({
+    txId: transfer.executionTransactionId,
+    type: 'scheduled_transfer_execution',
+    userAddress: transfer.userAddress,
+    params: { transferId: transfer._id, scheduledTxId: transfer.scheduledTxId }
+  });
+
+  if (ACTIVE_STATUSES.includes(tracked.status)) {
+    await refreshTransaction(tracked);
+  }
+
+  if (tracked.status === 'sealed' && !tracked.errorMessage) {
+    return markCompleted(transfer, transfer.executedAt);
+  }
+
+  if (tracked.status === 'sealed' || tracked.status === 'expired') {
+    transfer.status = 'failed';
+    transfer.errorMessage = tracked.errorMessage || 'Scheduled execution failed';
+    await transfer.save();
+
+    console.log(`❌ Flow-native transfer ${transfer._id} failed (TX: ${transfer.executionTransactionId})`);
+    broadcastOutcome(transfer);
+    return transfer;
+  }
+
+  transfer.status = 'executing';
+  await transfer.save();
+  return transfer;
+};
+
+/**
+ * The scheduler ran a transfer after it fell back to backend execution
+ * A transfer the backend has not claimed yet is taken back atomically and settled from the
+ * execution. Otherwise the execution is recorded: the backend's payment transaction cancels the
+ * schedule before paying, so it fails now and the retry hands the transfer back to the scheduler
+ */
+const recordLateExecution = async (event) => {
+  const reclaimed = await ScheduledTransfer.findOneAndUpdate(
+    {
+      scheduledTxId: String(event.data.id),
+      fallbackAt: { $exists: true },
+      status: 'scheduled'
+    },
+    {
+      $set: {
+        executionMethod: 'flow_native',
+        status: 'executing',
+        executionTransactionId: event.transactionId,
+        executionBlockHeight: event.blockHeight,
+        executedAt: event.blockTimestamp ? new Date(event.blockTimestamp) : new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (reclaimed) {
+    console.log(`🔁 Flow-native transfer ${reclaimed._id} executed on chain before the backend paid it (TX: ${event.transactionId})`);
+    return applyExecutionOutcome(reclaimed);
+  }
+
+  const transfer = await ScheduledTransfer.findOne({
+    scheduledTxId: String(event.data.id),
+    fallbackAt: { $exists: true },
+    executionTransactionId: { $exists: false }
+  });
+
+  if (!transfer) {
+    return null;
+  }
+
+  transfer.executionTransactionId = event.transactionId;
+  transfer.executionBlockHeight = event.blockHeight;
+  await transfer.save();
+
+  console.error(`❗ Flow-native transfer ${transfer._id} executed on chain while the backend was executing it (TX: ${event.transactionId})`);
+
+  websocketServer.broadcastTransactionUpdate(event.transactionId, 'executed_after_fallback', {
+    transferId: transfer._id,
+    userAddress: transfer.userAddress,
+    scheduledTxId: transfer.scheduledTxId,
+    fallbackAt: transfer.fallbackAt
+  });
+
+  return transfer;
+};
+
+/**
+ * FlowTransactionScheduler.Executed: the scheduler ran a transfer's handler
+ * The outcome comes from the sealed execution transaction, or later from the ScheduledTransfer
+ * event or the Flow scheduler monitor
+ */
+const handleExecutedEvent = async (event) => {
+  const transfer = await findByScheduledTxId(event.data.id);
+  if (!transfer) {
+    return recordLateExecution(event);
+  }
+
+  if (transfer.executionTransactionId) {
+    return null;
+  }
+
+  transfer.executionTransactionId = event.transactionId;
+  transfer.executionBlockHeight = event.blockHeight;
+  transfer.executedAt = event.blockTimestamp ? new Date(event.blockTimestamp) : new Date();
+
+  return applyExecutionOutcome(transfer);
+};
+
+/**
+ * ScheduledTransfer.TransferExecuted: the handler paid the recipient, which confirms a transfer
+ * whose execution transaction had not sealed when FlowTransactionScheduler.Executed was seen
+ */
+const handleTransferExecutedEvent = async (event) => {
+  const transfer = await ScheduledTransfer.findOne({
+    executionMethod: 'flow_native',
+    executionTransactionId: event.transactionId,
+    status: 'executing'
+  });
+
+  if (!transfer) {
+    return null;
+  }
+
+  return markCompleted(transfer, event.blockTimestamp ? new Date(event.blockTimestamp) : new Date());
+};
+
+/**
+ * FlowTransactionScheduler.Canceled: the transfer was cancelled on chain, through
+ * /:id/cancellation or directly from the wallet
+ */
+const handleCanceledEvent = async (event) => {
+  const transfer = await findByScheduledTxId(event.data.id) || await findCancellableByScheduledTxId(event.data.id);
+  if (!transfer) {
+    return null;
+  }
+
+  return markCancelled(transfer, {
+    transactionId: event.transactionId,
+    cancelledAt: event.blockTimestamp ? new Date(event.blockTimestamp) : new Date(),
+    refundedFee: event.data.feesReturned
+  });
+};
+
+/**
+ * Fail a Flow-native transfer whose outcome cannot be found on chain anymore, so it leaves the
+ * monitor and shows up in the failed transfers for someone to check by hand
+ * Flow-native transfers are never replayed, so this cannot pay twice
+ */
+const markUnresolved = async (transfer) => {
+  transfer.status = 'failed';
+  transfer.failureReason = 'unknown_onchain_outcome';
+  transfer.errorMessage = `Scheduled transaction ${transfer.scheduledTxId} is no longer known to FlowTransactionScheduler and no execution or cancellation was recorded. Check its outcome on chain.`;
+  await transfer.save();
+
+  console.error(`❗ Flow-native transfer ${transfer._id} has no known outcome on chain, marked for manual review`);
+  broadcastOutcome(transfer);
+  return transfer;
+};
+
+/**
+ * Settle a Flow-native transfer whose events were missed (e.g. while the backend was down)
+ * from its execution transaction, or from the status FlowTransactionScheduler reports
+ * A transfer the scheduler no longer returns data for is failed for manual review once it is
+ * UNRESOLVED_DEADLINE_MS past its date. Returns null when nothing changed
+ */
+const reconcileFlowNativeTransfer = async (transfer) => {
+  if (transfer.executionTransactionId) {
+    const previousStatus = transfer.status;
+    await applyExecutionOutcome(transfer);
+    return transfer.status !== previousStatus ? transfer : null;
+  }
+
+  const scheduled = await getScheduledTransaction(transfer.scheduledTxId);
+  if (!scheduled) {
+    return Date.now() - transfer.scheduledDate.getTime() >= UNRESOLVED_DEADLINE_MS
+      ? markUnresolved(transfer)
+      : null;
+  }
+
+  if (scheduled.status === SCHEDULER_STATUSES.EXECUTED) {
+    // Executed while no one was watching, the execution transaction is unknown
+    transfer.executedAt = transfer.executedAt || new Date();
+    return markCompleted(transfer, transfer.executedAt);
+  }
+
+  if (scheduled.status === SCHEDULER_STATUSES.CANCELED) {
+    return markCancelled(transfer, { transactionId: transfer.cancelTransactionId });
+  }
+
+  return null;
+};
+
+// Event handlers keyed by the event name the event monitor dispatches on
+const EVENT_HANDLERS = {
+  Executed: handleExecutedEvent,
+  Canceled: handleCanceledEvent,
+  TransferExecuted: handleTransferExecutedEvent
+};
+
+/**
+ * Route a FlowTransactionScheduler / ScheduledTransfer event to the transfer it belongs to
+ */
+const handleScheduledTransferEvent = async (event) => {
+  const eventName = event.type.split('.').pop();
+  const handler = EVENT_HANDLERS[eventName];
+
+  if (!handler) {
+    return null;
+  }
+
+  try {
+    return await handler(event);
+  } catch (error) {
+    console.error(`Error recording ${eventName} event of transaction ${event.transactionId}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  EVENT_NAMES: Object.keys(EVENT_HANDLERS),
+  handleScheduledTransferEvent,
+  reconcileFlowNativeTransfer
+};
@@ -1,11 +1,13 @@
 const cron = require('node-cron');
 const { monitorFlowScheduledTransfers } = require('./flowSchedulerMonitor');
+const { reconcileCancellations } = require('./flowCancellationService');
+const { isWorkerPaused } = require('./workerStateService');
 
 let cronJob = null;
 
 /**
  * Start the Flow scheduler monitor cron job
- * Runs every 2 minutes to check for completed/failed transactions
+ * Runs every 2 minutes to check for completed/failed transactions and sealed cancellations
  */
 const startFlowSchedulerMonitor = () => {
   if (cronJob) {
@@ -15,12 +17,21 @@ const startFlowSchedulerMonitor = () => {
 
   // Run every 2 minutes
   cronJob = cron.schedule('*/2 * * * *', async () => {
-    console.log('🔍 Running Flow scheduler monitor...');
     try {
+      if (await isWorkerPaused('flow-scheduler-monitor')) {
+        return;
+      }
+
+      console.log('🔍 Running Flow scheduler monitor...');
       const result = await monitorFlowScheduledTransfers();
       if (result.updated > 0) {
         console.log(`✅ Updated ${result.updated} transfers`);
       }
+
+      const cancellations = await reconcileCancellations();
+      if (cancellations.length > 0) {
+        console.log(`✅ Finished ${cancellations.length} cancellations`);
+      }
     } catch (error) {
       console.error('❌ Flow scheduler monitor error:', error);
     }
@@ -1,35 +1,22 @@
 const ScheduledTransfer = require('../models/ScheduledTransfer');
-const { fcl } = require('../config/flow');
+const { reconcileFlowNativeTransfer } = require('./flowScheduledEventService');
+const { fallBackToBackend } = require('./flowFallbackService');
 
 /**
- * Check the status of a Flow transaction
- */
-const checkTransactionStatus = async (transactionId) => {
-  try {
-    const txStatus = await fcl.tx(transactionId).onceExecuted();
-    
-    return {
-      status: txStatus.status,
-      statusCode: txStatus.statusCode,
-      errorMessage: txStatus.errorMessage,
-      events: txStatus.events
-    };
-  } catch (error) {
-    console.error(`Error checking transaction ${transactionId}:`, error);
-    return null;
-  }
-};
-
-/**
- * Monitor Flow-scheduled transfers and update their status
+ * Settle Flow-native transfers the event monitor did not: due transfers still 'scheduled'
+ * and executions whose outcome was not known when their event arrived. Transfers still pending
+ * on chain after the fallback grace window are handed to backend execution
+ * Transfers saved without a scheduledTxId cannot be correlated and are left alone
  */
 const monitorFlowScheduledTransfers = async () => {
   try {
-    // Find all Flow-scheduled transfers that are still 'scheduled'
     const pendingTransfers = await ScheduledTransfer.find({
       executionMethod: 'flow_native',
-      status: 'scheduled',
-      scheduledDate: { $lte: new Date() } // Only check transfers that should have executed
+      scheduledTxId: { $exists: true },
+      $or: [
+        { status: 'scheduled', scheduledDate: { $lte: new Date() } }, // Only check transfers that should have executed
+        { status: 'executing' }
+      ]
     });
 
     if (pendingTransfers.length === 0) {
@@ -44,30 +31,19 @@ const monitorFlowScheduledTransfers = async () => {
     const results = [];
     for (const transfer of pendingTransfers) {
       try {
-        const txStatus = await checkTransactionStatus(transfer.transactionId);
-        
-        if (!txStatus) {
+        const reconciled = await reconcileFlowNativeTransfer(transfer);
+
+        if (reconciled) {
+          results.push({ transferId: reconciled._id, status: reconciled.status });
           continue;
         }
 
-        // Check if transaction was executed successfully
-        if (txStatus.statusCode === 0) {
-          // Success
-          transfer.status = 'completed';
-          transfer.executedAt = new Date();
-          await transfer.save();
-          
-          console.log(`✅ Transfer ${transfer._id} completed (TX: ${transfer.transactionId})`);
-          results.push({ transferId: transfer._id, status: 'completed' });
-        } else if (txStatus.statusCode > 0) {
-          // Failed
-          transfer.status = 'failed';
-          transfer.executedAt = new Date();
-          transfer.errorMessage = txStatus.errorMessage || 'Transaction failed';
-          await transfer.save();
-          
-          console.log(`❌ Transfer ${transfer._id} failed (TX: ${transfer.transactionId})`);
-          results.push({ transferId: transfer._id, status: 'failed' });
+        if (transfer.status === 'scheduled') {
+          const switched = await fallBackToBackend(transfer);
+
+          if (switched) {
+            results.push({ transferId: switched._id, status: switched.status, executionMethod: 'backend' });
+          }
         }
       } catch (error) {
         console.error(`Error monitoring transfer ${transfer._id}:`, error);
@@ -106,7 +82,6 @@ const getScheduledTransactionInfo = async (userAddress) => {
 };
 
 module.exports = {
-  checkTransactionStatus,
   monitorFlowScheduledTransfers,
   getScheduledTransactionInfo
 };
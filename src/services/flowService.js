@@ -1,4 +1,4 @@
-const fcl = require('../config/flow');
+const { fcl } = require('../config/flow');
 
 const queryStakerInfo = async (address) => {
   const result = await fcl.query({
@@ -34,64 +34,6 @@ const queryStakerInfo = async (address) => {
   return result;
 };
 
-const stakeTokens = async (user, amount) => {
-  const tx = await fcl.mutate({
-    cadence: `
-      import FrothRewards from 0x8401ed4fc6788c8a
-      
-      transaction(amount: UFix64) {
-        let stakerRef: &FrothRewards.FrothStaker
-        
-        prepare(signer: auth(BorrowValue) &Account) {
-          self.stakerRef = signer.storage.borrow<&FrothRewards.FrothStaker>(
-            from: FrothRewards.StakerStoragePath
-          ) ?? panic("No staker found")
-        }
-        
-        execute {
-          self.stakerRef.stake(amount: amount)
-        }
-      }
-    `,
-    args: (arg, t) => [arg(amount.toFixed(8), t.UFix64)],
-    proposer: fcl.currentUser,
-    payer: fcl.currentUser,
-    authorizations: [fcl.currentUser]
-  });
-  
-  const sealed = await fcl.tx(tx).onceSealed();
-  return { txId: tx.transactionId, sealed };
-};
-
-const unstakeTokens = async (user, amount) => {
-  const tx = await fcl.mutate({
-    cadence: `
-      import FrothRewards from 0x8401ed4fc6788c8a
-      
-      transaction(amount: UFix64) {
-        let stakerRef: &FrothRewards.FrothStaker
-        
-        prepare(signer: auth(BorrowValue) &Account) {
-          self.stakerRef = signer.storage.borrow<&FrothRewards.FrothStaker>(
-            from: FrothRewards.StakerStoragePath
-          ) ?? panic("No staker found")
-        }
-        
-        execute {
-          self.stakerRef.unstake(amount: amount)
-        }
-      }
-    `,
-    args: (arg, t) => [arg(amount.toFixed(8), t.UFix64)],
-    proposer: fcl.currentUser,
-    payer: fcl.currentUser,
-    authorizations: [fcl.currentUser]
-  });
-  
-  const sealed = await fcl.tx(tx).onceSealed();
-  return { txId: tx.transactionId, sealed };
-};
-
 const queryProtectedAssets = async (address) => {
   const result = await fcl.query({
     cadence: `
@@ -128,50 +70,7 @@ const queryProtectedAssets = async (address) => {
   return result;
 };
 
-const protectDapperAsset = async (user, assetType, assetId, actionType) => {
-  const tx = await fcl.mutate({
-    cadence: `
-      import DapperAssetProtection from 0x8401ed4fc6788c8a
-      
-      transaction(assetType: String, assetId: UInt64, actionType: String) {
-        let managerRef: &DapperAssetProtection.ProtectionManager
-        
-        prepare(signer: auth(BorrowValue) &Account) {
-          self.managerRef = signer.storage.borrow<&DapperAssetProtection.ProtectionManager>(
-            from: DapperAssetProtection.ProtectionManagerStoragePath
-          ) ?? panic("No protection manager found")
-        }
-        
-        execute {
-          let actionId = self.managerRef.insureDapperAsset(
-            user: self.managerRef.owner!.address,
-            assetType: assetType,
-            assetId: assetId,
-            actionType: actionType
-          )
-          
-          log("Asset protected with action ID: ".concat(actionId))
-        }
-      }
-    `,
-    args: (arg, t) => [
-      arg(assetType, t.String),
-      arg(assetId.toString(), t.UInt64),
-      arg(actionType, t.String)
-    ],
-    proposer: fcl.currentUser,
-    payer: fcl.currentUser,
-    authorizations: [fcl.currentUser]
-  });
-  
-  const sealed = await fcl.tx(tx).onceSealed();
-  return { txId: tx.transactionId, sealed };
-};
-
 module.exports = {
   queryStakerInfo,
-  stakeTokens,
-  unstakeTokens,
-  queryProtectedAssets,
-  protectDapperAsset
+  queryProtectedAssets
 };
@@ -0,0 +1,101 @@
+const { isWorkerPaused } = require('./workerStateService');
+
+/**
+ * Background job that runs on a fixed interval on this instance
+ * A tick is skipped while the previous run is still going or while operators paused the
+ * worker (see workerStateService). run returns extra status fields, e.g. how many records
+ * the last run handled
+ */
+class IntervalJob {
+  constructor({ name, label, intervalMs, run, getStatus = () => ({}) }) {
+    this.name = name;
+    this.label = label;
+    this.intervalMs = intervalMs;
+    this.run = run;
+    this.getExtraStatus = getStatus;
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.lastRunAt = null;
+    this.lastResult = {};
+  }
+
+  /**
+   * Start the job, running it once right away
+   */
+  start() {
+    if (this.isRunning) {
+      console.log(`⚠️  ${this.label} is already running`);
+      return;
+    }
+
+    console.log(`🚀 Starting ${this.label} (runs every ${this.intervalMs / 1000} seconds)...`);
+
+    // Run immediately on start
+    this.runJob();
+
+    this.intervalId = setInterval(() => {
+      this.runJob();
+    }, this.intervalMs);
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log(`⚠️  ${this.label} is not running`);
+      return;
+    }
+
+    console.log(`🛑 Stopping ${this.label}...`);
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+  }
+
+  /**
+   * Run the job once unless a run is in progress or the worker is paused
+   */
+  async runJob() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      if (await isWorkerPaused(this.name)) {
+        return;
+      }
+
+      this.lastResult = (await this.run()) || {};
+      this.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`❌ Error in ${this.label}:`, error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isProcessing,
+      intervalMs: this.intervalMs,
+      lastRunAt: this.lastRunAt,
+      ...this.getExtraStatus(),
+      ...this.lastResult
+    };
+  }
+}
+
+module.exports = IntervalJob;
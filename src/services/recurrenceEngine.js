@@ -0,0 +1,278 @@
+/**
+ * Recurrence rules for recurring scheduled transfers
+ *
+ * A rule is { freq: 'daily'|'weekly'|'monthly', interval, byMonthDay?, byWeekDay?, bySetPos?, timeZone }.
+ * Calendar math happens in the series time zone and occurrences keep the wall-clock time of the
+ * series start, so DST changes do not move them. Monthly series without byMonthDay are anchored
+ * to the start day and clamped to short months (Jan 31 -> Feb 28 -> Mar 31).
+ */
+
+const { DEFAULT_TIME_ZONE, isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('./timeZoneService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on the periods scanned for one occurrence, so invalid rules cannot loop forever
+const MAX_EMPTY_PERIODS = 1000;
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+const PRESETS = {
+  daily: { freq: 'daily', interval: 1 },
+  weekly: { freq: 'weekly', interval: 1 },
+  biweekly: { freq: 'weekly', interval: 2 },
+  semimonthly: { freq: 'monthly', interval: 1, byMonthDay: [1, 15] },
+  monthly: { freq: 'monthly', interval: 1 },
+  quarterly: { freq: 'monthly', interval: 3 },
+  last_business_day: { freq: 'monthly', interval: 1, byWeekDay: BUSINESS_DAYS, bySetPos: -1 }
+};
+
+const FREQUENCIES = [...Object.keys(PRESETS), 'custom'];
+
+const createError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseIntegerList = (value, key, { min, max }) => {
+  return value.split(',').map(part => {
+    const number = Number(part);
+    if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+      throw createError(`Invalid ${key} value: ${part}`);
+    }
+    return number;
+  });
+};
+
+/**
+ * Parse the supported subset of an RFC 5545 RRULE, e.g. FREQ=MONTHLY;BYMONTHDAY=1,15
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYMONTHDAY, BYDAY, BYSETPOS
+ * The end of a series is set with recurringEndDate / recurringCount instead of UNTIL / COUNT
+ */
+const parseRecurrenceRule = (recurrenceRule) => {
+  if (typeof recurrenceRule !== 'string' || !recurrenceRule.trim()) {
+    throw createError('recurrenceRule is required for custom recurrence');
+  }
+
+  const parts = {};
+  recurrenceRule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || !value) {
+      throw createError(`Invalid recurrenceRule part: ${part}`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  Object.keys(parts).forEach(key => {
+    if (key === 'COUNT' || key === 'UNTIL') {
+      throw createError('Use recurringCount or recurringEndDate instead of COUNT or UNTIL');
+    }
+    if (!['FREQ', 'INTERVAL', 'BYMONTHDAY', 'BYDAY', 'BYSETPOS'].includes(key)) {
+      throw createError(`Unsupported recurrenceRule part: ${key}`);
+    }
+  });
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 1000) {
+    throw createError('INTERVAL must be a whole number between 1 and 1000');
+  }
+
+  const rule = {};
+  switch (parts.FREQ) {
+    case 'DAILY':
+    case 'WEEKLY':
+    case 'MONTHLY':
+      rule.freq = parts.FREQ.toLowerCase();
+      rule.interval = interval;
+      break;
+    case 'YEARLY':
+      rule.freq = 'monthly';
+      rule.interval = interval * 12;
+      break;
+    default:
+      throw createError('FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY');
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== 'monthly') {
+      throw createError('BYMONTHDAY is only supported with MONTHLY or YEARLY');
+    }
+    rule.byMonthDay = parseIntegerList(parts.BYMONTHDAY, 'BYMONTHDAY', { min: -31, max: 31 });
+  }
+
+  if (parts.BYDAY) {
+    rule.byWeekDay = parts.BYDAY.split(',').map(day => {
+      if (WEEKDAYS[day] === undefined) {
+        throw createError(`Invalid BYDAY value: ${day}`);
+      }
+      return WEEKDAYS[day];
+    });
+  }
+
+  if (parts.BYSETPOS) {
+    if (rule.freq !== 'monthly' || (!rule.byMonthDay && !rule.byWeekDay)) {
+      throw createError('BYSETPOS requires MONTHLY with BYDAY or BYMONTHDAY');
+    }
+    [rule.bySetPos] = parseIntegerList(parts.BYSETPOS, 'BYSETPOS', { min: -31, max: 31 });
+  }
+
+  return rule;
+};
+
+/**
+ * Resolve the rule of a series from its recurringFrequency (and recurrenceRule when custom)
+ */
+const resolveRule = ({ recurringFrequency, recurrenceRule, timeZone }) => {
+  let rule;
+
+  if (recurringFrequency === 'custom') {
+    rule = parseRecurrenceRule(recurrenceRule);
+  } else {
+    rule = PRESETS[recurringFrequency];
+    if (!rule) {
+      throw createError(`Invalid frequency: ${recurringFrequency}. Must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+  }
+
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw createError(`Invalid time zone: ${timeZone}`);
+  }
+
+  return { ...rule, timeZone: timeZone || DEFAULT_TIME_ZONE };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day of the week of a calendar date, independent of time zones
+const weekDayOf = (year, month, day) => new Date(Date.UTC(year, month, day)).getUTCDay();
+
+/**
+ * Occurrences of the k-th period of a series, in date order
+ */
+const periodOccurrences = (rule, start, k) => {
+  const local = getZonedParts(start, rule.timeZone);
+  const { year, month, day } = local;
+
+  // The given calendar day at the wall-clock time of the series start
+  const atDay = (y, m, d) => zonedTimeToUtc({ ...local, year: y, month: m, day: d }, rule.timeZone);
+
+  if (rule.freq === 'daily') {
+    const periodDay = day + k * rule.interval;
+    return !rule.byWeekDay || rule.byWeekDay.includes(weekDayOf(year, month, periodDay))
+      ? [atDay(year, month, periodDay)]
+      : [];
+  }
+
+  if (rule.freq === 'weekly') {
+    if (!rule.byWeekDay) {
+      return [atDay(year, month, day + k * rule.interval * 7)];
+    }
+
+    // Weeks start on Monday
+    const weekStart = day - (weekDayOf(year, month, day) + 6) % 7 + k * rule.interval * 7;
+    return rule.byWeekDay
+      .map(weekDay => atDay(year, month, weekStart + (weekDay + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  const monthIndex = year * 12 + month + k * rule.interval;
+  const periodYear = Math.floor(monthIndex / 12);
+  const periodMonth = monthIndex % 12;
+  const lastDay = daysInMonth(periodYear, periodMonth);
+  let days;
+
+  if (rule.byMonthDay) {
+    // Days past the end of the month are clamped to the last day, negative days count from the end
+    days = rule.byMonthDay.map(d => d > 0 ? Math.min(d, lastDay) : Math.max(lastDay + d + 1, 1));
+  } else if (rule.byWeekDay) {
+    days = [];
+    for (let d = 1; d <= lastDay; d++) {
+      if (rule.byWeekDay.includes(weekDayOf(periodYear, periodMonth, d))) {
+        days.push(d);
+      }
+    }
+  } else {
+    days = [Math.min(day, lastDay)];
+  }
+
+  days = [...new Set(days)].sort((a, b) => a - b);
+
+  if (rule.bySetPos) {
+    const picked = rule.bySetPos > 0 ? days[rule.bySetPos - 1] : days[days.length + rule.bySetPos];
+    days = picked ? [picked] : [];
+  }
+
+  return days.map(d => atDay(periodYear, periodMonth, d));
+};
+
+// Periods are measured at their longest, so scanning never starts past `after`
+const firstPeriodAfter = (rule, start, after) => {
+  const maxPeriodMs = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS,
+    monthly: 31 * DAY_MS
+  }[rule.freq] * rule.interval;
+
+  return Math.max(Math.floor((after - start) / maxPeriodMs) - 1, 0);
+};
+
+/**
+ * First occurrence of a series strictly after `after`. start anchors the series
+ * Returns null if the rule produces no occurrence
+ */
+const nextOccurrence = (rule, start, after) => {
+  const startDate = new Date(start);
+  const afterDate = new Date(after);
+
+  for (let k = firstPeriodAfter(rule, startDate, afterDate), empty = 0; empty < MAX_EMPTY_PERIODS; k++) {
+    const next = periodOccurrences(rule, startDate, k).find(date => date >= startDate && date > afterDate);
+    if (next) {
+      return next;
+    }
+    empty++;
+  }
+
+  return null;
+};
+
+/**
+ * Occurrences of a series in date order, counted from its start
+ * count limits the series to its first N occurrences, until is inclusive,
+ * only occurrences strictly after `after` are returned and at most `limit`
+ */
+const listOccurrences = (rule, start, { after = null, until = null, count = null, limit = 1000 } = {}) => {
+  const startDate = new Date(start);
+  const untilDate = until ? new Date(until) : null;
+  const afterDate = after ? new Date(after) : null;
+  const dates = [];
+  let index = 0;
+  let empty = 0;
+
+  for (let k = 0; empty < MAX_EMPTY_PERIODS; k++) {
+    const occurrences = periodOccurrences(rule, startDate, k).filter(date => date >= startDate);
+    empty = occurrences.length === 0 ? empty + 1 : 0;
+
+    for (const date of occurrences) {
+      if ((count && index >= count) || (untilDate && date > untilDate) || dates.length >= limit) {
+        return dates;
+      }
+
+      index++;
+      if (!afterDate || date > afterDate) {
+        dates.push(date);
+      }
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  PRESETS,
+  FREQUENCIES,
+  parseRecurrenceRule,
+  resolveRule,
+  nextOccurrence,
+  listOccurrences
+};
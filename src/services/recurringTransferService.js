@@ -1,33 +1,27 @@
 const ScheduledTransfer = require('../models/ScheduledTransfer');
 const RecipientList = require('../models/RecipientList');
+const { getTokenBalance } = require('./scheduledTransferFlowService');
+const { DEFAULT_TOKEN } = require('../config/tokens');
+const { resolveRule, nextOccurrence, listOccurrences } = require('./recurrenceEngine');
 
-/**
- * Calculate next scheduled date based on frequency
- */
-const calculateNextDate = (currentDate, frequency) => {
-  const nextDate = new Date(currentDate);
-  
-  switch (frequency) {
-    case 'daily':
-      nextDate.setDate(nextDate.getDate() + 1);
-      break;
-    case 'weekly':
-      nextDate.setDate(nextDate.getDate() + 7);
-      break;
-    case 'monthly':
-      nextDate.setMonth(nextDate.getMonth() + 1);
-      break;
-    default:
-      throw new Error(`Invalid frequency: ${frequency}`);
-  }
-  
-  return nextDate;
+// Most occurrences a cost preview walks through
+const MAX_PREVIEW_OCCURRENCES = 1000;
+
+const CATCH_UP_POLICIES = ['run_all', 'latest_only', 'skip_missed'];
+// Occurrences overdue by more than this are considered missed and handled by the catch-up policy
+const MISSED_GRACE_MS = parseInt(process.env.RECURRING_MISSED_GRACE_MS || '3600000'); // 1 hour
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 };
 
 /**
  * Create recurring transfer instances
+ * Pass a session to create them inside a MongoDB transaction
  */
-const createRecurringTransfers = async (transferData) => {
+const createRecurringTransfers = async (transferData, { session } = {}) => {
   const { 
     userAddress, 
     title, 
@@ -37,26 +31,35 @@ const createRecurringTransfers = async (transferData) => {
     recipientListId,
     amount, 
     amountPerRecipient,
+    token,
     scheduledDate, 
     recurringFrequency,
+    recurrenceRule,
     recurringEndDate,
-    retryLimit 
+    recurringCount,
+    catchUpPolicy,
+    timeZone,
+    retryLimit,
+    retryPolicy
   } = transferData;
 
   if (!recurringFrequency) {
-    throw new Error('Recurring frequency is required');
+    throw createError('Recurring frequency is required', 400);
   }
 
+  // Throws a 400 for unknown frequencies and invalid rules
+  resolveRule({ recurringFrequency, recurrenceRule, timeZone });
+
   const startDate = new Date(scheduledDate);
   const endDate = recurringEndDate ? new Date(recurringEndDate) : null;
   
   // Validate dates
   if (startDate <= new Date()) {
-    throw new Error('Start date must be in the future');
+    throw createError('Start date must be in the future', 400);
   }
 
   if (endDate && endDate <= startDate) {
-    throw new Error('End date must be after start date');
+    throw createError('End date must be after start date', 400);
   }
 
   // Create parent recurring transfer (template)
@@ -69,16 +72,23 @@ const createRecurringTransfers = async (transferData) => {
     recipientListId,
     amount,
     amountPerRecipient,
+    token,
     scheduledDate: startDate,
     status: 'scheduled',
     retryLimit: retryLimit || 3,
+    retryPolicy,
+    timeZone,
     isRecurring: true,
     recurringFrequency,
+    recurrenceRule: recurringFrequency === 'custom' ? recurrenceRule : undefined,
     recurringEndDate: endDate,
+    recurringCount,
+    catchUpPolicy: catchUpPolicy || 'run_all',
+    occurrenceCount: 1,
     nextScheduledDate: startDate
   });
 
-  await parentTransfer.save();
+  await parentTransfer.save({ session });
 
   // Create first instance
   const firstInstance = new ScheduledTransfer({
@@ -90,14 +100,17 @@ const createRecurringTransfers = async (transferData) => {
     recipientListId,
     amount,
     amountPerRecipient,
+    token,
     scheduledDate: startDate,
     status: 'scheduled',
     retryLimit: retryLimit || 3,
+    retryPolicy,
+    timeZone,
     isRecurring: false,
     parentRecurringId: parentTransfer._id
   });
 
-  await firstInstance.save();
+  await firstInstance.save({ session });
 
   return {
     parent: parentTransfer,
@@ -105,26 +118,27 @@ const createRecurringTransfers = async (transferData) => {
   };
 };
 
+// Instances that have not run yet
+const PENDING_STATUSES = ['scheduled', 'paused'];
+
 /**
- * Generate next recurring transfer instance
+ * Load a recurring parent, throwing a 404 if the id is not a recurring series
  */
-const generateNextInstance = async (parentId) => {
+const findSeries = async (parentId) => {
   const parent = await ScheduledTransfer.findById(parentId);
-  
+
   if (!parent || !parent.isRecurring) {
-    throw new Error('Parent recurring transfer not found');
+    throw createError('Parent recurring transfer not found', 404);
   }
 
-  const nextDate = calculateNextDate(parent.nextScheduledDate, parent.recurringFrequency);
-  
-  // Check if we've reached the end date
-  if (parent.recurringEndDate && nextDate > parent.recurringEndDate) {
-    console.log(`Recurring transfer ${parentId} has reached end date`);
-    return null;
-  }
+  return parent;
+};
 
-  // Create next instance
-  const nextInstance = new ScheduledTransfer({
+/**
+ * Create an instance of a series at the given date from the parent template
+ */
+const createInstance = async (parent, scheduledDate, status = 'scheduled') => {
+  const instance = new ScheduledTransfer({
     userAddress: parent.userAddress,
     title: parent.title.replace(' (Recurring)', ''),
     description: parent.description,
@@ -133,20 +147,473 @@ const generateNextInstance = async (parentId) => {
     recipientListId: parent.recipientListId,
     amount: parent.amount,
     amountPerRecipient: parent.amountPerRecipient,
-    scheduledDate: nextDate,
-    status: 'scheduled',
+    token: parent.token,
+    scheduledDate,
+    status,
     retryLimit: parent.retryLimit,
+    retryPolicy: parent.retryPolicy,
+    timeZone: parent.timeZone,
     isRecurring: false,
     parentRecurringId: parent._id
   });
 
-  await nextInstance.save();
+  await instance.save();
+
+  return instance;
+};
+
+/**
+ * Next occurrence of a series after its latest generated one, or null once the series has ended
+ */
+const getNextSeriesDate = (parent) => {
+  if (parent.recurringCount && (parent.occurrenceCount || 0) >= parent.recurringCount) {
+    return null;
+  }
+
+  // The series start anchors the schedule, so month-end dates do not drift
+  const nextDate = nextOccurrence(resolveRule(parent), parent.scheduledDate, parent.nextScheduledDate);
+
+  if (!nextDate || (parent.recurringEndDate && nextDate > parent.recurringEndDate)) {
+    return null;
+  }
+
+  return nextDate;
+};
+
+/**
+ * Advance a series to its next occurrence and create the instance for it
+ * The parent is advanced atomically, so concurrent callers never create the same occurrence twice
+ */
+const scheduleNextInstance = async (parent) => {
+  const nextDate = getNextSeriesDate(parent);
+
+  if (!nextDate) {
+    console.log(`Recurring transfer ${parent._id} has reached its end`);
+    return null;
+  }
+
+  const advanced = await ScheduledTransfer.findOneAndUpdate(
+    { _id: parent._id, nextScheduledDate: parent.nextScheduledDate },
+    { $set: { nextScheduledDate: nextDate }, $inc: { occurrenceCount: 1 } },
+    { new: true }
+  );
+
+  if (!advanced) {
+    console.log(`Recurring transfer ${parent._id} was already advanced`);
+    return null;
+  }
+
+  parent.nextScheduledDate = advanced.nextScheduledDate;
+  parent.occurrenceCount = advanced.occurrenceCount;
+
+  return createInstance(parent, nextDate);
+};
+
+/**
+ * Generate next recurring transfer instance
+ */
+const generateNextInstance = async (parentId) => {
+  const parent = await ScheduledTransfer.findById(parentId);
+  
+  if (!parent || !parent.isRecurring) {
+    throw createError('Parent recurring transfer not found', 404);
+  }
+
+  // Paused and cancelled series do not grow
+  if (parent.status !== 'scheduled') {
+    console.log(`Recurring transfer ${parentId} is ${parent.status}, not generating the next instance`);
+    return null;
+  }
+
+  // The series already has its next occurrence (e.g. created when it was resumed)
+  const hasUpcoming = await ScheduledTransfer.exists({
+    parentRecurringId: parent._id,
+    status: 'scheduled',
+    scheduledDate: { $gt: new Date() }
+  });
+  if (hasUpcoming) {
+    return null;
+  }
+
+  return scheduleNextInstance(parent);
+};
+
+/**
+ * Pause a series: its pending instances stop executing until it is resumed
+ */
+const pauseRecurringTransfer = async (parentId) => {
+  const parent = await findSeries(parentId);
+
+  if (parent.status !== 'scheduled') {
+    throw createError(`Only active recurring transfers can be paused, status is ${parent.status}`, 400);
+  }
+
+  parent.status = 'paused';
+  parent.pausedAt = new Date();
+  await parent.save();
+
+  const result = await ScheduledTransfer.updateMany(
+    { parentRecurringId: parent._id, status: 'scheduled' },
+    { $set: { status: 'paused' } }
+  );
+
+  return {
+    parent,
+    pausedInstances: result.modifiedCount
+  };
+};
+
+/**
+ * Resume a paused series
+ * Occurrences that fell due while paused are skipped, unless generateMissed is set,
+ * in which case they are created (or re-activated) and executed right away
+ */
+const resumeRecurringTransfer = async (parentId, { generateMissed = false } = {}) => {
+  const parent = await findSeries(parentId);
+
+  if (parent.status !== 'paused') {
+    throw createError(`Only paused recurring transfers can be resumed, status is ${parent.status}`, 400);
+  }
+
+  const now = new Date();
+  const resumed = [];
+  const skipped = [];
+
+  const pausedInstances = await ScheduledTransfer.find({ parentRecurringId: parent._id, status: 'paused' });
+  for (const instance of pausedInstances) {
+    if (instance.scheduledDate > now || generateMissed) {
+      instance.status = 'scheduled';
+      resumed.push(instance);
+    } else {
+      instance.status = 'skipped';
+      skipped.push(instance.scheduledDate);
+      parent.skippedOccurrences.push({ date: instance.scheduledDate, reason: 'paused', instanceId: instance._id, skippedAt: now });
+    }
+    await instance.save();
+  }
+
+  // Occurrences that were never generated because the series was paused
+  const missedDates = [];
+  let nextDate;
+  while ((nextDate = getNextSeriesDate(parent)) && nextDate <= now) {
+    missedDates.push(nextDate);
+    parent.nextScheduledDate = nextDate;
+    parent.occurrenceCount = (parent.occurrenceCount || 0) + 1;
+  }
+
+  for (const date of missedDates) {
+    if (generateMissed) {
+      resumed.push(await createInstance(parent, date));
+    } else {
+      skipped.push(date);
+      parent.skippedOccurrences.push({ date, reason: 'paused', skippedAt: now });
+    }
+  }
+
+  parent.status = 'scheduled';
+  parent.pausedAt = undefined;
+  await parent.save();
+
+  // Make sure the series has an upcoming instance
+  const hasUpcoming = resumed.some(instance => instance.scheduledDate > now);
+  const nextInstance = hasUpcoming ? null : await scheduleNextInstance(parent);
+
+  return {
+    parent,
+    resumedInstances: resumed.length,
+    skippedOccurrences: skipped,
+    nextInstance
+  };
+};
+
+/**
+ * Skip the next pending occurrence of an active series and schedule the one after it
+ */
+const skipNextOccurrence = async (parentId) => {
+  const parent = await findSeries(parentId);
+
+  if (parent.status !== 'scheduled') {
+    throw createError(`Only active recurring transfers can skip an occurrence, status is ${parent.status}`, 400);
+  }
+
+  const upcoming = await ScheduledTransfer.findOne({ parentRecurringId: parent._id, status: 'scheduled' })
+    .sort({ scheduledDate: 1 });
+
+  if (!upcoming) {
+    throw createError('Recurring transfer has no upcoming occurrence to skip', 400);
+  }
+
+  // Only skip if it has not been claimed for execution in the meantime
+  const skipped = await ScheduledTransfer.findOneAndUpdate(
+    { _id: upcoming._id, status: 'scheduled' },
+    { $set: { status: 'skipped' } },
+    { new: true }
+  );
+
+  if (!skipped) {
+    throw createError('The next occurrence is already executing', 409);
+  }
+
+  parent.skippedOccurrences.push({
+    date: skipped.scheduledDate,
+    reason: 'skipped_by_user',
+    instanceId: skipped._id,
+    skippedAt: new Date()
+  });
+  await parent.save();
+
+  const stillUpcoming = await ScheduledTransfer.exists({ parentRecurringId: parent._id, status: 'scheduled' });
+  const nextInstance = stillUpcoming ? null : await scheduleNextInstance(parent);
 
-  // Update parent's next scheduled date
-  parent.nextScheduledDate = nextDate;
+  return {
+    parent,
+    skipped,
+    nextInstance
+  };
+};
+
+/**
+ * Bring one active series up to date
+ * Generates the occurrences that were never created (the backend was down, or an instance
+ * failed so the next one was never generated), applies the series' catch-up policy to
+ * everything overdue by more than the grace period, and makes sure the series has a pending instance
+ *   run_all: every missed occurrence is executed
+ *   latest_only: only the most recent missed occurrence is executed
+ *   skip_missed: missed occurrences are skipped, the series continues with the next one
+ */
+const superviseSeries = async (parent) => {
+  const now = new Date();
+  const missedBefore = new Date(now.getTime() - MISSED_GRACE_MS);
+  const policy = parent.catchUpPolicy || 'run_all';
+
+  // Occurrences up to now that have no instance yet
+  const previousNextDate = parent.nextScheduledDate;
+  const newDates = [];
+  let nextDate;
+  while ((nextDate = getNextSeriesDate(parent)) && nextDate <= now) {
+    newDates.push(nextDate);
+    parent.nextScheduledDate = nextDate;
+    parent.occurrenceCount = (parent.occurrenceCount || 0) + 1;
+  }
+
+  if (newDates.length > 0) {
+    const advanced = await ScheduledTransfer.findOneAndUpdate(
+      { _id: parent._id, status: 'scheduled', nextScheduledDate: previousNextDate },
+      { $set: { nextScheduledDate: parent.nextScheduledDate }, $inc: { occurrenceCount: newDates.length } },
+      { new: true }
+    );
+
+    // Another instance advanced or paused the series in the meantime
+    if (!advanced) {
+      return { parentId: parent._id, skipped: 0, created: 0 };
+    }
+  }
+
+  const overdueInstances = await ScheduledTransfer.find({
+    parentRecurringId: parent._id,
+    status: 'scheduled',
+    scheduledDate: { $lt: missedBefore }
+  }).sort({ scheduledDate: 1 });
+
+  const missed = [
+    ...overdueInstances.map(instance => ({ date: instance.scheduledDate, instance })),
+    ...newDates.filter(date => date < missedBefore).map(date => ({ date }))
+  ].sort((a, b) => a.date - b.date);
+  const dueNow = newDates.filter(date => date >= missedBefore);
+
+  let toSkip = [];
+  if (policy === 'skip_missed') {
+    toSkip = missed;
+  } else if (policy === 'latest_only') {
+    // Keep the latest occurrence, unless one that is just due supersedes it
+    toSkip = dueNow.length > 0 ? missed : missed.slice(0, -1);
+  }
+
+  const skippedAt = new Date();
+  const skippedOccurrences = [];
+  for (const occurrence of toSkip) {
+    if (occurrence.instance) {
+      // Only skip instances that have not been claimed for execution meanwhile
+      const skipped = await ScheduledTransfer.findOneAndUpdate(
+        { _id: occurrence.instance._id, status: 'scheduled' },
+        { $set: { status: 'skipped' } }
+      );
+      if (!skipped) continue;
+    }
+
+    skippedOccurrences.push({
+      date: occurrence.date,
+      reason: 'missed',
+      instanceId: occurrence.instance ? occurrence.instance._id : undefined,
+      skippedAt
+    });
+  }
+
+  const skippedDates = new Set(skippedOccurrences.map(o => o.date.getTime()));
+  const datesToCreate = newDates.filter(date => !skippedDates.has(date.getTime()));
+  for (const date of datesToCreate) {
+    await createInstance(parent, date);
+  }
+
+  if (skippedOccurrences.length > 0) {
+    await ScheduledTransfer.updateOne(
+      { _id: parent._id },
+      { $push: { skippedOccurrences: { $each: skippedOccurrences } } }
+    );
+    console.log(`⏭️  Skipped ${skippedOccurrences.length} missed occurrences of recurring transfer ${parent._id} (${policy})`);
+  }
+
+  // Every series needs a pending instance, otherwise it silently stops
+  const hasPending = await ScheduledTransfer.exists({
+    parentRecurringId: parent._id,
+    status: { $in: ['scheduled', 'executing'] }
+  });
+  const nextInstance = hasPending ? null : await scheduleNextInstance(parent);
+
+  return {
+    parentId: parent._id,
+    skipped: skippedOccurrences.length,
+    created: datesToCreate.length + (nextInstance ? 1 : 0)
+  };
+};
+
+/**
+ * Supervise every active recurring series, see superviseSeries
+ * This is called by the recurring series supervisor every few minutes
+ */
+const superviseRecurringSeries = async () => {
+  const series = await ScheduledTransfer.find({ isRecurring: true, status: 'scheduled' });
+  const results = [];
+
+  for (const parent of series) {
+    try {
+      const result = await superviseSeries(parent);
+      if (result.skipped > 0 || result.created > 0) {
+        results.push(result);
+      }
+    } catch (error) {
+      console.error(`Failed to supervise recurring transfer ${parent._id}:`, error.message);
+      results.push({ parentId: parent._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Fields copied from the parent template to each instance
+const TEMPLATE_FIELDS = ['title', 'description', 'recipient', 'recipients', 'amount', 'amountPerRecipient', 'retryLimit', 'retryPolicy'];
+// Fields that change when occurrences happen
+const SCHEDULE_FIELDS = ['scheduledDate', 'recurringFrequency', 'recurrenceRule', 'recurringEndDate', 'recurringCount', 'timeZone'];
+
+const pickDefined = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+/**
+ * Edit a series from an instance onwards ("this and following"), or from its next pending
+ * occurrence when the parent itself is edited
+ * Template changes (amount, recipients, ...) update the parent and every pending instance from there on.
+ * Schedule changes restart the series at that occurrence: later pending instances are replaced
+ * and recurringCount counts the occurrences left from there
+ */
+const updateSeries = async (transfer, changes) => {
+  const parent = transfer.isRecurring ? transfer : await findSeries(transfer.parentRecurringId);
+
+  if (!['scheduled', 'paused'].includes(parent.status)) {
+    throw createError(`Cannot edit a ${parent.status} recurring transfer`, 400);
+  }
+
+  const anchorInstance = transfer.isRecurring
+    ? await ScheduledTransfer.findOne({ parentRecurringId: parent._id, status: { $in: PENDING_STATUSES } }).sort({ scheduledDate: 1 })
+    : transfer;
+
+  const templateChanges = pickDefined(changes, TEMPLATE_FIELDS);
+  const scheduleChanges = pickDefined(changes, SCHEDULE_FIELDS);
+  const instanceChanges = { ...templateChanges };
+
+  if (templateChanges.title !== undefined) {
+    templateChanges.title = `${templateChanges.title} (Recurring)`;
+  }
+  if (scheduleChanges.timeZone !== undefined) {
+    instanceChanges.timeZone = scheduleChanges.timeZone;
+  }
+
+  if (Object.keys(scheduleChanges).length > 0) {
+    if (!anchorInstance && !scheduleChanges.scheduledDate) {
+      throw createError('Recurring transfer has no pending occurrence, pass scheduledDate to restart it', 400);
+    }
+
+    const merged = { ...parent.toObject(), ...scheduleChanges };
+    resolveRule(merged);
+
+    const anchorDate = scheduleChanges.scheduledDate
+      ? new Date(scheduleChanges.scheduledDate)
+      : anchorInstance.scheduledDate;
+
+    if (merged.recurringEndDate && new Date(merged.recurringEndDate) <= anchorDate) {
+      throw createError('End date must be after the first occurrence', 400);
+    }
+
+    // Occurrences generated before the restart point no longer count toward recurringCount
+    const consumed = Math.max((parent.occurrenceCount || 0) - (anchorInstance ? 1 : 0), 0);
+    if (scheduleChanges.recurringCount === undefined && parent.recurringCount) {
+      parent.recurringCount = Math.max(parent.recurringCount - consumed, 1);
+    }
+
+    ['recurringFrequency', 'recurrenceRule', 'recurringEndDate', 'recurringCount', 'timeZone'].forEach(field => {
+      if (scheduleChanges[field] !== undefined) parent[field] = scheduleChanges[field];
+    });
+    parent.scheduledDate = anchorDate;
+    parent.nextScheduledDate = anchorDate;
+    parent.occurrenceCount = 1;
+
+    // Pending instances after the restart point are replaced by the new schedule
+    await ScheduledTransfer.updateMany(
+      {
+        parentRecurringId: parent._id,
+        status: { $in: PENDING_STATUSES },
+        ...(anchorInstance ? { _id: { $ne: anchorInstance._id } } : {})
+      },
+      { $set: { status: 'cancelled' } }
+    );
+
+    if (anchorInstance) {
+      anchorInstance.scheduledDate = anchorDate;
+    }
+  }
+
+  Object.assign(parent, templateChanges);
+  if (changes.catchUpPolicy !== undefined) parent.catchUpPolicy = changes.catchUpPolicy;
   await parent.save();
 
-  return nextInstance;
+  let instance = anchorInstance;
+  if (instance) {
+    Object.assign(instance, instanceChanges);
+    await instance.save();
+  } else if (scheduleChanges.scheduledDate) {
+    instance = await createInstance(parent, parent.scheduledDate, parent.status === 'paused' ? 'paused' : 'scheduled');
+  }
+
+  // Template changes also apply to any later pending instances
+  let updatedInstances = instance ? 1 : 0;
+  if (Object.keys(instanceChanges).length > 0 && instance) {
+    const result = await ScheduledTransfer.updateMany(
+      {
+        parentRecurringId: parent._id,
+        status: { $in: PENDING_STATUSES },
+        scheduledDate: { $gt: instance.scheduledDate }
+      },
+      { $set: instanceChanges }
+    );
+    updatedInstances += result.modifiedCount;
+  }
+
+  return {
+    parent,
+    instance,
+    updatedInstances
+  };
 };
 
 /**
@@ -156,18 +623,20 @@ const cancelRecurringTransfer = async (parentId) => {
   const parent = await ScheduledTransfer.findById(parentId);
   
   if (!parent || !parent.isRecurring) {
-    throw new Error('Parent recurring transfer not found');
+    throw createError('Parent recurring transfer not found', 404);
   }
 
   // Cancel parent
   parent.status = 'cancelled';
   await parent.save();
 
-  // Cancel all future instances
+  // Cancel all future and paused instances
   const futureInstances = await ScheduledTransfer.find({
     parentRecurringId: parentId,
-    status: 'scheduled',
-    scheduledDate: { $gt: new Date() }
+    $or: [
+      { status: 'scheduled', scheduledDate: { $gt: new Date() } },
+      { status: 'paused' }
+    ]
   });
 
   for (const instance of futureInstances) {
@@ -183,35 +652,26 @@ const cancelRecurringTransfer = async (parentId) => {
 
 /**
  * Calculate total cost for recurring transfer
+ * Uses the same recurrence engine as instance generation, so the preview matches execution
+ * Without an end date or count, one year of occurrences is estimated
  */
-const calculateRecurringCost = (amount, amountPerRecipient, recipientCount, startDate, frequency, endDate) => {
+const calculateRecurringCost = (amount, amountPerRecipient, recipientCount, startDate, frequency, endDate, { recurrenceRule, recurringCount, timeZone } = {}) => {
+  const rule = resolveRule({ recurringFrequency: frequency, recurrenceRule, timeZone });
   const start = new Date(startDate);
-  const end = endDate ? new Date(endDate) : null;
-  
-  let occurrences = 0;
-  let currentDate = new Date(start);
-  
-  // Limit to 100 occurrences to prevent infinite loops
-  const maxOccurrences = 100;
-  
-  while (occurrences < maxOccurrences) {
-    if (end && currentDate > end) {
-      break;
-    }
-    
-    occurrences++;
-    currentDate = calculateNextDate(currentDate, frequency);
-    
-    // If no end date, calculate for 1 year
-    if (!end) {
-      const oneYearLater = new Date(start);
-      oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
-      if (currentDate > oneYearLater) {
-        break;
-      }
-    }
+  let until = endDate ? new Date(endDate) : null;
+
+  if (!until && !recurringCount) {
+    until = new Date(start);
+    until.setFullYear(until.getFullYear() + 1);
   }
-  
+
+  const dates = listOccurrences(rule, start, {
+    until,
+    count: recurringCount,
+    limit: MAX_PREVIEW_OCCURRENCES
+  });
+
+  const occurrences = dates.length;
   const costPerTransfer = amountPerRecipient ? amount * recipientCount : amount;
   const totalCost = costPerTransfer * occurrences;
   
@@ -219,29 +679,41 @@ const calculateRecurringCost = (amount, amountPerRecipient, recipientCount, star
     occurrences,
     costPerTransfer,
     totalCost,
-    estimatedOnly: !end
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    upcomingDates: dates.slice(0, 12),
+    estimatedOnly: !endDate && !recurringCount
   };
 };
 
 /**
  * Validate wallet balance for recurring transfers
+ * Valid when the vault of the series token covers the next transfer; coveredOccurrences and
+ * shortfall show how far the current balance goes against the whole series
  */
-const validateRecurringBalance = async (userAddress, amount, amountPerRecipient, recipientCount, startDate, frequency, endDate) => {
-  // This would integrate with your wallet balance checking service
-  // For now, we'll return the cost calculation
-  
-  const cost = calculateRecurringCost(amount, amountPerRecipient, recipientCount, startDate, frequency, endDate);
-  
+const validateRecurringBalance = async (userAddress, amount, amountPerRecipient, recipientCount, startDate, frequency, endDate, options = {}) => {
+  const cost = calculateRecurringCost(amount, amountPerRecipient, recipientCount, startDate, frequency, endDate, options);
+  const balance = await getTokenBalance(userAddress, options.token || DEFAULT_TOKEN);
+
   return {
-    isValid: true, // Would check actual balance here
+    isValid: balance >= cost.costPerTransfer,
+    balance,
+    coveredOccurrences: Math.min(Math.floor(balance / cost.costPerTransfer), cost.occurrences),
+    shortfall: Math.max(cost.totalCost - balance, 0),
     ...cost
   };
 };
 
 module.exports = {
-  calculateNextDate,
+  CATCH_UP_POLICIES,
   createRecurringTransfers,
   generateNextInstance,
+  scheduleNextInstance,
+  pauseRecurringTransfer,
+  resumeRecurringTransfer,
+  skipNextOccurrence,
+  superviseRecurringSeries,
+  updateSeries,
   cancelRecurringTransfer,
   calculateRecurringCost,
   validateRecurringBalance
@@ -0,0 +1,122 @@
+const RETRY_STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+const DEFAULT_RETRY_POLICY = {
+  strategy: 'fixed',
+  baseDelaySeconds: 300,
+  maxDelaySeconds: 3600,
+  jitter: false
+};
+
+// Errors that will fail the same way on every attempt until the user acts
+const TERMINAL_ERROR_PATTERNS = [
+  { pattern: /exceeds authorized maximum/i, reason: 'amount_exceeds_authorization' },
+  { pattern: /not authorized backend|authorization is revoked/i, reason: 'authorization_missing' },
+  { pattern: /could not borrow (\w+ )?authorization capability/i, reason: 'authorization_missing' },
+  { pattern: /authorization has expired/i, reason: 'authorization_expired' },
+  { pattern: /is not an allowed recipient/i, reason: 'recipient_not_allowed' },
+  { pattern: /exceeds (daily|monthly) limit/i, reason: 'spend_limit_exceeded' },
+  { pattern: /could not borrow receiver|receiver reference/i, reason: 'invalid_recipient' },
+  { pattern: /invalid address|cannot find account|account .* does not exist/i, reason: 'invalid_recipient' },
+  { pattern: /amount withdrawn must be less than or equal|insufficient (\w+ )?(balance|funds)/i, reason: 'insufficient_funds' }
+];
+
+/**
+ * Classify an execution error as retryable or terminal
+ * Unknown errors (network, rate limits, sequence numbers, expired transactions) are retryable
+ */
+const classifyError = (errorMessage) => {
+  const message = errorMessage || '';
+  const match = TERMINAL_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message));
+
+  return match
+    ? { retryable: false, reason: match.reason }
+    : { retryable: true, reason: 'transient' };
+};
+
+/**
+ * Fill in defaults for a (possibly partial) retry policy
+ */
+const resolveRetryPolicy = (policy) => {
+  const source = policy && typeof policy.toObject === 'function' ? policy.toObject() : (policy || {});
+  const resolved = { ...DEFAULT_RETRY_POLICY };
+
+  Object.keys(DEFAULT_RETRY_POLICY).forEach(key => {
+    if (source[key] !== undefined && source[key] !== null) {
+      resolved[key] = source[key];
+    }
+  });
+
+  return resolved;
+};
+
+/**
+ * Validate a retry policy from a request body. Returns an error message or null
+ */
+const validateRetryPolicy = (policy) => {
+  if (policy === undefined || policy === null) {
+    return null;
+  }
+
+  if (typeof policy !== 'object') {
+    return 'retryPolicy must be an object';
+  }
+
+  if (policy.strategy !== undefined && !RETRY_STRATEGIES.includes(policy.strategy)) {
+    return `retryPolicy.strategy must be one of: ${RETRY_STRATEGIES.join(', ')}`;
+  }
+
+  for (const key of ['baseDelaySeconds', 'maxDelaySeconds']) {
+    if (policy[key] !== undefined && (typeof policy[key] !== 'number' || policy[key] <= 0)) {
+      return `retryPolicy.${key} must be a positive number`;
+    }
+  }
+
+  const resolved = resolveRetryPolicy(policy);
+  if (resolved.maxDelaySeconds < resolved.baseDelaySeconds) {
+    return 'retryPolicy.maxDelaySeconds must be at least baseDelaySeconds';
+  }
+
+  if (policy.jitter !== undefined && typeof policy.jitter !== 'boolean') {
+    return 'retryPolicy.jitter must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * Delay before the given retry attempt (1-based)
+ * fixed: base, linear: base * attempt, exponential: base * 2^(attempt - 1), all capped at maxDelay
+ * With jitter the delay is randomized between half and the full delay
+ */
+const computeRetryDelayMs = (policy, attempt) => {
+  const { strategy, baseDelaySeconds, maxDelaySeconds, jitter } = resolveRetryPolicy(policy);
+
+  let delaySeconds;
+  switch (strategy) {
+    case 'linear':
+      delaySeconds = baseDelaySeconds * attempt;
+      break;
+    case 'exponential':
+      delaySeconds = baseDelaySeconds * Math.pow(2, attempt - 1);
+      break;
+    default:
+      delaySeconds = baseDelaySeconds;
+  }
+
+  delaySeconds = Math.min(delaySeconds, maxDelaySeconds);
+
+  if (jitter) {
+    delaySeconds = delaySeconds / 2 + Math.random() * (delaySeconds / 2);
+  }
+
+  return Math.round(delaySeconds * 1000);
+};
+
+module.exports = {
+  RETRY_STRATEGIES,
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  resolveRetryPolicy,
+  validateRetryPolicy,
+  computeRetryDelayMs
+};
@@ -1,4 +1,5 @@
 const { fcl } = require('../config/flow');
+const { DEFAULT_TOKEN, FUNGIBLE_TOKEN_ADDRESS, getToken, getAuthorizationPaths } = require('../config/tokens');
 const fs = require('fs');
 const path = require('path');
 
@@ -39,6 +40,40 @@ const checkHandlerInitialized = async (userAddress) => {
   }
 };
 
+const FLOW_TRANSACTION_SCHEDULER_ADDRESS = '0x8c5303eaa26202d6';
+
+// FlowTransactionScheduler.Priority raw values
+const SCHEDULE_PRIORITIES = {
+  High: 0,
+  Medium: 1,
+  Low: 2
+};
+const DEFAULT_SCHEDULE_PRIORITY = 'Medium';
+
+// FlowTransactionScheduler.Status raw values
+const SCHEDULER_STATUSES = {
+  SCHEDULED: 1,
+  EXECUTED: 2,
+  CANCELED: 3
+};
+
+// Computation the scheduler reserves for executing a transfer
+const DEFAULT_EXECUTION_EFFORT = 1000;
+const MAX_EXECUTION_EFFORT = 9999;
+
+const getPriorityName = (rawValue) => {
+  return Object.keys(SCHEDULE_PRIORITIES).find(name => SCHEDULE_PRIORITIES[name] === parseInt(rawValue)) || null;
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Scheduler timestamps are UFix64 seconds
+const toTimestampArg = (date) => (date.getTime() / 1000).toFixed(8);
+
 /**
  * Get the transaction code for initializing the scheduled transfer handler
  * User must sign this once before scheduling any transfers
@@ -47,7 +82,7 @@ const getInitHandlerTransaction = () => {
   return {
     cadence: `
       import ScheduledTransfer from 0x8401ed4fc6788c8a
-      import FlowTransactionScheduler from 0x8c5303eaa26202d6
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
 
       transaction() {
         prepare(signer: auth(Storage, Capabilities) &Account) {
@@ -71,27 +106,30 @@ const getInitHandlerTransaction = () => {
         }
       }
     `,
-    args: (arg, t) => []
+    args: []
   };
 };
 
 /**
  * Get the transaction code for scheduling a transfer
- * User signs this to schedule a transfer at a future time
+ * User signs this to schedule a transfer at a future time (a Date) with a priority
+ * (High, Medium or Low) and execution effort
+ * args are JSON-Cadence encoded so the client can send them through its wallet
  */
-const getScheduleTransferTransaction = (recipient, amount, delaySeconds) => {
+const getScheduleTransferTransaction = (recipient, amount, scheduledDate, { priority = DEFAULT_SCHEDULE_PRIORITY, executionEffort = DEFAULT_EXECUTION_EFFORT } = {}) => {
   return {
     cadence: `
       import ScheduledTransfer from 0x8401ed4fc6788c8a
-      import FlowTransactionScheduler from 0x8c5303eaa26202d6
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
       import FlowToken from 0x7e60df042a9c0868
       import FungibleToken from 0x9a0766d93b6608b7
 
-      transaction(recipient: Address, amount: UFix64, delaySeconds: UFix64) {
+      transaction(recipient: Address, amount: UFix64, timestamp: UFix64, priorityRawValue: UInt8, executionEffort: UInt64) {
         prepare(signer: auth(Storage, Capabilities) &Account) {
-          let future = getCurrentBlock().timestamp + delaySeconds
-          let priority = FlowTransactionScheduler.Priority.Medium
-          let executionEffort: UInt64 = 1000
+          assert(timestamp > getCurrentBlock().timestamp, message: "Transfer must be scheduled in the future")
+
+          let priority = FlowTransactionScheduler.Priority(rawValue: priorityRawValue)
+            ?? panic("Unknown priority")
           
           let transferData = ScheduledTransfer.TransferData(
             recipient: recipient,
@@ -100,7 +138,7 @@ const getScheduleTransferTransaction = (recipient, amount, delaySeconds) => {
           
           let estimate = FlowTransactionScheduler.estimate(
             data: transferData,
-            timestamp: future,
+            timestamp: timestamp,
             priority: priority,
             executionEffort: executionEffort
           )
@@ -131,7 +169,7 @@ const getScheduleTransferTransaction = (recipient, amount, delaySeconds) => {
           FlowTransactionScheduler.schedule(
             handlerCap: handlerCap!,
             data: transferData,
-            timestamp: future,
+            timestamp: timestamp,
             priority: priority,
             executionEffort: executionEffort,
             fees: <-fees
@@ -141,65 +179,328 @@ const getScheduleTransferTransaction = (recipient, amount, delaySeconds) => {
         }
       }
     `,
+    args: [
+      { type: 'Address', value: recipient },
+      { type: 'UFix64', value: amount.toFixed(8) },
+      { type: 'UFix64', value: toTimestampArg(scheduledDate) },
+      { type: 'UInt8', value: String(SCHEDULE_PRIORITIES[priority]) },
+      { type: 'UInt64', value: String(executionEffort) }
+    ]
+  };
+};
+
+/**
+ * Get the transaction code for cancelling a Flow-native transfer
+ * User signs this; the unused scheduling fee is refunded to their FlowToken vault
+ */
+const getCancelScheduledTransferTransaction = (scheduledTxId) => {
+  return {
+    cadence: `
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
+      import FlowToken from 0x7e60df042a9c0868
+
+      transaction(id: UInt64) {
+        prepare(signer: auth(BorrowValue) &Account) {
+          let txData = FlowTransactionScheduler.getTransactionData(id: id)
+            ?? panic("Scheduled transaction not found")
+
+          assert(txData.handlerAddress == signer.address, message: "Scheduled transaction belongs to another account")
+
+          let refund <- FlowTransactionScheduler.cancel(id: id)
+
+          let vaultRef = signer.storage.borrow<&FlowToken.Vault>(from: /storage/flowTokenVault)
+            ?? panic("Could not borrow FlowToken vault")
+          vaultRef.deposit(from: <-refund)
+
+          log("Scheduled transfer cancelled")
+        }
+      }
+    `,
+    args: [
+      { type: 'UInt64', value: String(scheduledTxId) }
+    ]
+  };
+};
+
+/**
+ * Estimate the FLOW fee and execution time FlowTransactionScheduler gives a transfer at each priority
+ * Returns { High, Medium, Low } of { flowFee, timestamp, error } where error explains why it
+ * cannot be scheduled at that priority
+ */
+const estimateScheduleFees = async (recipient, amount, scheduledDate, executionEffort = DEFAULT_EXECUTION_EFFORT) => {
+  const result = await fcl.query({
+    cadence: `
+      import ScheduledTransfer from 0x8401ed4fc6788c8a
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
+
+      access(all) fun main(recipient: Address, amount: UFix64, timestamp: UFix64, executionEffort: UInt64): {UInt8: {String: AnyStruct?}} {
+        let data = ScheduledTransfer.TransferData(recipient: recipient, amount: amount)
+        let estimates: {UInt8: {String: AnyStruct?}} = {}
+
+        for priority in [FlowTransactionScheduler.Priority.High, FlowTransactionScheduler.Priority.Medium, FlowTransactionScheduler.Priority.Low] {
+          let estimate = FlowTransactionScheduler.estimate(
+            data: data,
+            timestamp: timestamp,
+            priority: priority,
+            executionEffort: executionEffort
+          )
+
+          estimates[priority.rawValue] = {
+            "flowFee": estimate.flowFee,
+            "timestamp": estimate.timestamp,
+            "error": estimate.error
+          }
+        }
+
+        return estimates
+      }
+    `,
     args: (arg, t) => [
       arg(recipient, t.Address),
       arg(amount.toFixed(8), t.UFix64),
-      arg(delaySeconds.toString(), t.UFix64)
+      arg(toTimestampArg(scheduledDate), t.UFix64),
+      arg(String(executionEffort), t.UInt64)
     ]
+  });
+
+  const estimates = {};
+
+  for (const [name, rawValue] of Object.entries(SCHEDULE_PRIORITIES)) {
+    const estimate = result[rawValue] || result[String(rawValue)] || {};
+
+    estimates[name] = {
+      flowFee: estimate.flowFee !== null && estimate.flowFee !== undefined ? parseFloat(estimate.flowFee) : null,
+      timestamp: estimate.timestamp ? new Date(parseFloat(estimate.timestamp) * 1000) : null,
+      error: estimate.error || null
+    };
+  }
+
+  return estimates;
+};
+
+/**
+ * Transfer FlowTransactionScheduler holds for a scheduled transaction id, or null when it
+ * is unknown (or already executed and removed)
+ */
+const getScheduledTransaction = async (scheduledTxId) => {
+  const result = await fcl.query({
+    cadence: `
+      import ScheduledTransfer from 0x8401ed4fc6788c8a
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
+
+      access(all) fun main(id: UInt64): {String: AnyStruct?}? {
+        if let txData = FlowTransactionScheduler.getTransactionData(id: id) {
+          let transferData = txData.getData() as? ScheduledTransfer.TransferData
+
+          return {
+            "recipient": transferData?.recipient,
+            "amount": transferData?.amount,
+            "timestamp": txData.scheduledTimestamp,
+            "handlerAddress": txData.handlerAddress,
+            "status": txData.status.rawValue
+          }
+        }
+
+        return nil
+      }
+    `,
+    args: (arg, t) => [arg(String(scheduledTxId), t.UInt64)]
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  return {
+    recipient: result.recipient || null,
+    amount: result.amount ? parseFloat(result.amount) : null,
+    scheduledDate: new Date(parseFloat(result.timestamp) * 1000),
+    handlerAddress: result.handlerAddress,
+    status: parseInt(result.status)
+  };
+};
+
+/**
+ * Verify on chain that a sealed transaction scheduled the claimed transfer from the user
+ * Returns { scheduledTxId, scheduledDate, priority, executionEffort, fee } as recorded by
+ * FlowTransactionScheduler
+ */
+const verifyScheduledTransfer = async (transactionId, userAddress, { recipient, amount, scheduledDate }) => {
+  let txStatus;
+  try {
+    txStatus = await fcl.tx(transactionId).onceSealed();
+  } catch (error) {
+    throw createError(`Transaction ${transactionId} could not be found: ${error.message}`, 400);
+  }
+
+  if (txStatus.errorMessage) {
+    throw createError(`Transaction ${transactionId} failed: ${txStatus.errorMessage}`, 400);
+  }
+
+  const normalize = (address) => fcl.withPrefix(address).toLowerCase();
+  const scheduledEvent = (txStatus.events || []).find(event =>
+    event.type.endsWith('FlowTransactionScheduler.Scheduled') &&
+    normalize(event.data.transactionHandlerOwner) === normalize(userAddress)
+  );
+
+  if (!scheduledEvent) {
+    throw createError(`Transaction ${transactionId} did not schedule a transaction for ${userAddress}`, 400);
+  }
+
+  const scheduledTxId = String(scheduledEvent.data.id);
+  const scheduled = await getScheduledTransaction(scheduledTxId);
+
+  if (!scheduled || !scheduled.recipient) {
+    throw createError(`Scheduled transaction ${scheduledTxId} is not a pending scheduled transfer`, 400);
+  }
+
+  if (normalize(scheduled.recipient) !== normalize(recipient)) {
+    throw createError(`Scheduled transaction ${scheduledTxId} pays ${scheduled.recipient}, not ${recipient}`, 400);
+  }
+
+  if (scheduled.amount.toFixed(8) !== Number(amount).toFixed(8)) {
+    throw createError(`Scheduled transaction ${scheduledTxId} transfers ${scheduled.amount} FLOW, not ${amount}`, 400);
+  }
+
+  // Timestamps are compared to the second the schedule transaction was built with
+  if (Math.abs(scheduled.scheduledDate.getTime() - new Date(scheduledDate).getTime()) >= 1000) {
+    throw createError(`Scheduled transaction ${scheduledTxId} runs at ${scheduled.scheduledDate.toISOString()}, not ${new Date(scheduledDate).toISOString()}`, 400);
+  }
+
+  return {
+    scheduledTxId,
+    scheduledDate: scheduled.scheduledDate,
+    priority: getPriorityName(scheduledEvent.data.priority),
+    executionEffort: parseInt(scheduledEvent.data.executionEffort),
+    fee: parseFloat(scheduledEvent.data.fees)
   };
 };
 
+// Tag of the withdraw capabilities issued for backend authorizations, so they can be found and revoked
+const WITHDRAW_CAPABILITY_TAG = 'FlowSure scheduled transfers';
+
+const toUFix64Arg = (value) => (value || 0).toFixed(8);
+
 /**
  * Execute a scheduled transfer using user's pre-authorized capability
  * This is the backend fallback when Flow's automatic execution doesn't trigger
  * Backend service account signs this transaction
  */
-const executeScheduledTransfer = async (userAddress, recipient, amount) => {
+const executeScheduledTransfer = async (userAddress, recipient, amount, tokenSymbol = DEFAULT_TOKEN, spent = {}) => {
+  return executeBatchTransfer(userAddress, [{ recipient, amount }], tokenSymbol, spent);
+};
+
+/**
+ * Execute a batch of transfers from one user in a single transaction
+ * payments: [{ recipient, amount }]
+ * spent: { spentToday, spentThisMonth } already paid out under the authorization, checked
+ * against the daily and monthly limits the user signed
+ * scheduledTxId is set for a Flow-native transfer that fell back to the backend: its on-chain
+ * schedule is cancelled in the same transaction before paying, so the scheduler cannot pay it too
+ * Backend service account signs this transaction
+ */
+const executeBatchTransfer = async (userAddress, payments, tokenSymbol = DEFAULT_TOKEN, spent = {}, { scheduledTxId } = {}) => {
   try {
+    const token = getToken(tokenSymbol);
+    const paths = getAuthorizationPaths(token.symbol);
     const transaction = `
       import ScheduledTransfer from 0x8401ed4fc6788c8a
-      
-      transaction(userAddress: Address, recipient: Address, amount: UFix64) {
+      import FlowTransactionScheduler from ${FLOW_TRANSACTION_SCHEDULER_ADDRESS}
+      import FungibleToken from ${FUNGIBLE_TOKEN_ADDRESS}
+
+      transaction(userAddress: Address, recipients: [Address], amounts: [UFix64], spentToday: UFix64, spentThisMonth: UFix64, scheduledTxId: UInt64?) {
         prepare(serviceAccount: auth(Storage) &Account) {
-          // Get user's account
+          assert(recipients.length == amounts.length, message: "Recipients and amounts must have the same length")
+
           let userAccount = getAccount(userAddress)
-          
-          // Get the authorization capability
+
+          // A fallen back Flow-native transfer is paid only if its schedule can still be cancelled
+          if let id = scheduledTxId {
+            let txData = FlowTransactionScheduler.getTransactionData(id: id)
+              ?? panic("Scheduled transaction ".concat(id.toString()).concat(" is no longer pending on chain"))
+            assert(
+              txData.status == FlowTransactionScheduler.Status.Scheduled,
+              message: "Scheduled transaction ".concat(id.toString()).concat(" is no longer pending on chain")
+            )
+            assert(txData.handlerAddress == userAddress, message: "Scheduled transaction belongs to another account")
+
+            let refund <- FlowTransactionScheduler.cancel(id: id)
+            userAccount.capabilities.borrow<&{FungibleToken.Receiver}>(/public/flowTokenReceiver)!
+              .deposit(from: <-refund)
+          }
+
           let authCap = userAccount.capabilities
-            .get<&ScheduledTransfer.TransferAuthorization>(/public/scheduledTransferAuth)
+            .get<&ScheduledTransfer.TransferAuthorization>(${paths.authorizationPublicPath})
             .borrow()
-            ?? panic("Could not borrow authorization capability from user account")
-          
-          // Execute the transfer
-          // This will withdraw from user's vault and send to recipient
-          authCap.executeTransfer(recipient: recipient, amount: amount)
-          
-          log("Scheduled transfer executed from ".concat(userAddress.toString())
-            .concat(" to ").concat(recipient.toString())
-            .concat(" amount: ").concat(amount.toString()))
+            ?? panic("Could not borrow ${token.symbol} authorization capability from user account")
+
+          // Expiry and spend limits the user signed with the authorization (0.0 means none)
+          if let limits = userAccount.capabilities.borrow<&{String: UFix64}>(${paths.limitsPublicPath}) {
+            let expiresAt = limits["expiresAt"] ?? 0.0
+            assert(expiresAt == 0.0 || getCurrentBlock().timestamp < expiresAt, message: "${token.symbol} authorization has expired")
+
+            var total = 0.0
+            for amount in amounts {
+              total = total + amount
+            }
+
+            let dailyLimit = limits["dailyLimit"] ?? 0.0
+            assert(dailyLimit == 0.0 || spentToday + total <= dailyLimit, message: "Transfer exceeds daily limit of the ${token.symbol} authorization")
+
+            let monthlyLimit = limits["monthlyLimit"] ?? 0.0
+            assert(monthlyLimit == 0.0 || spentThisMonth + total <= monthlyLimit, message: "Transfer exceeds monthly limit of the ${token.symbol} authorization")
+          }
+
+          let allowedRecipients = userAccount.capabilities.borrow<&[Address]>(${paths.recipientsPublicPath})
+
+          var i = 0
+          while i < recipients.length {
+            if let allowed = allowedRecipients {
+              assert(
+                allowed.length == 0 || allowed.contains(recipients[i]),
+                message: "Recipient ".concat(recipients[i].toString()).concat(" is not an allowed recipient of the ${token.symbol} authorization")
+              )
+            }
+            assert(
+              getAccount(recipients[i]).capabilities.borrow<&{FungibleToken.Receiver}>(${token.receiverPath}) != nil,
+              message: "Recipient ".concat(recipients[i].toString()).concat(" has no ${token.symbol} receiver")
+            )
+            authCap.executeTransfer(recipient: recipients[i], amount: amounts[i])
+            i = i + 1
+          }
+
+          log("Scheduled batch transfer executed from ".concat(userAddress.toString())
+            .concat(" to ").concat(recipients.length.toString()).concat(" recipients"))
         }
       }
     `;
-    
+
     return {
       cadence: transaction,
       args: (arg, t) => [
         arg(userAddress, t.Address),
-        arg(recipient, t.Address),
-        arg(amount.toFixed(8), t.UFix64)
+        arg(payments.map(p => p.recipient), t.Array(t.Address)),
+        arg(payments.map(p => p.amount.toFixed(8)), t.Array(t.UFix64)),
+        arg(toUFix64Arg(spent.spentToday), t.UFix64),
+        arg(toUFix64Arg(spent.spentThisMonth), t.UFix64),
+        arg(scheduledTxId !== undefined && scheduledTxId !== null ? String(scheduledTxId) : null, t.Optional(t.UInt64))
       ]
     };
   } catch (error) {
-    console.error('Error creating execution transaction:', error);
+    console.error('Error creating batch execution transaction:', error);
     throw error;
   }
 };
 
 /**
- * Check if user has authorized backend for scheduled transfers
+ * Check if user has authorized backend for scheduled transfers of a token
+ * Limits are null when the authorization has none; authorizations signed before expiry
+ * existed have no expiresAt
  */
-const checkBackendAuthorization = async (userAddress) => {
+const checkBackendAuthorization = async (userAddress, tokenSymbol = DEFAULT_TOKEN) => {
   try {
+    const token = getToken(tokenSymbol);
+    const paths = getAuthorizationPaths(token.symbol);
     const result = await fcl.query({
       cadence: `
         import ScheduledTransfer from 0x8401ed4fc6788c8a
@@ -208,14 +509,28 @@ const checkBackendAuthorization = async (userAddress) => {
           let userAccount = getAccount(userAddress)
           
           if let authCap = userAccount.capabilities
-            .get<&ScheduledTransfer.TransferAuthorization>(/public/scheduledTransferAuth)
+            .get<&ScheduledTransfer.TransferAuthorization>(${paths.authorizationPublicPath})
             .borrow() {
             
+            let limits = userAccount.capabilities.borrow<&{String: UFix64}>(${paths.limitsPublicPath})
+            let allowedRecipients = userAccount.capabilities.borrow<&[Address]>(${paths.recipientsPublicPath})
+            
+            var recipients: [Address] = []
+            if let allowed = allowedRecipients {
+              for recipient in allowed {
+                recipients.append(recipient)
+              }
+            }
+            
             return {
               "isAuthorized": true,
               "maxAmountPerTransfer": authCap.maxAmountPerTransfer,
               "authorizedAccount": authCap.authorizedAccount,
-              "isRevoked": authCap.isRevoked
+              "isRevoked": authCap.isRevoked,
+              "expiresAt": limits != nil ? limits!["expiresAt"] ?? 0.0 : 0.0,
+              "dailyLimit": limits != nil ? limits!["dailyLimit"] ?? 0.0 : 0.0,
+              "monthlyLimit": limits != nil ? limits!["monthlyLimit"] ?? 0.0 : 0.0,
+              "allowedRecipients": recipients
             }
           }
           
@@ -223,14 +538,30 @@ const checkBackendAuthorization = async (userAddress) => {
             "isAuthorized": false,
             "maxAmountPerTransfer": 0.0,
             "authorizedAccount": nil,
-            "isRevoked": false
+            "isRevoked": false,
+            "expiresAt": 0.0,
+            "dailyLimit": 0.0,
+            "monthlyLimit": 0.0,
+            "allowedRecipients": []
           }
         }
       `,
       args: (arg, t) => [arg(userAddress, t.Address)]
     });
-    
-    return result;
+
+    const expiresAt = parseFloat(result.expiresAt) || 0;
+    const dailyLimit = parseFloat(result.dailyLimit) || 0;
+    const monthlyLimit = parseFloat(result.monthlyLimit) || 0;
+
+    return {
+      ...result,
+      token: token.symbol,
+      expiresAt: expiresAt > 0 ? new Date(expiresAt * 1000) : null,
+      isExpired: expiresAt > 0 && expiresAt * 1000 <= Date.now(),
+      dailyLimit: dailyLimit > 0 ? dailyLimit : null,
+      monthlyLimit: monthlyLimit > 0 ? monthlyLimit : null,
+      allowedRecipients: result.allowedRecipients || []
+    };
   } catch (error) {
     console.error('Error checking backend authorization:', error);
     throw error;
@@ -238,29 +569,79 @@ const checkBackendAuthorization = async (userAddress) => {
 };
 
 /**
- * Get transaction for user to authorize backend for scheduled transfers
- * User signs this once to allow backend to execute transfers on their behalf
+ * Get the balance of an account's vault for a token
+ */
+const getTokenBalance = async (userAddress, tokenSymbol = DEFAULT_TOKEN) => {
+  try {
+    const token = getToken(tokenSymbol);
+    const result = await fcl.query({
+      cadence: `
+        import FungibleToken from ${FUNGIBLE_TOKEN_ADDRESS}
+
+        access(all) fun main(userAddress: Address): UFix64 {
+          let vaultRef = getAccount(userAddress).capabilities
+            .borrow<&{FungibleToken.Balance}>(${token.balancePath})
+
+          return vaultRef?.balance ?? 0.0
+        }
+      `,
+      args: (arg, t) => [arg(userAddress, t.Address)]
+    });
+
+    return parseFloat(result);
+  } catch (error) {
+    console.error(`Error fetching ${tokenSymbol} balance:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the FLOW balance of an account's FlowToken vault
+ */
+const getFlowBalance = (userAddress) => getTokenBalance(userAddress, 'FLOW');
+
+/**
+ * Get transaction for user to authorize backend for scheduled transfers of a token
+ * User signs this once per token to allow backend to execute transfers on their behalf
+ * The authorization expires after expiryDays; dailyLimit and monthlyLimit cap the total paid out
+ * per UTC day and month and allowedRecipients restricts who can be paid (empty means anyone)
+ * args are JSON-Cadence encoded so the client can send them through its wallet
  */
-const getAuthorizationTransaction = (maxAmountPerTransfer, expiryDays) => {
+const getAuthorizationTransaction = (maxAmountPerTransfer, expiryDays, tokenSymbol = DEFAULT_TOKEN, { dailyLimit, monthlyLimit, allowedRecipients = [] } = {}) => {
   const serviceAccount = process.env.FLOW_SERVICE_ACCOUNT_ADDRESS;
+  const token = getToken(tokenSymbol);
+  const paths = getAuthorizationPaths(token.symbol);
+  const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
   
   return {
+    expiresAt,
     cadence: `
       import ScheduledTransfer from 0x8401ed4fc6788c8a
-      import FlowToken from 0x7e60df042a9c0868
-      import FungibleToken from 0x9a0766d93b6608b7
+      import FungibleToken from ${FUNGIBLE_TOKEN_ADDRESS}
+      import ${token.contractName} from ${token.contractAddress}
 
-      transaction(maxAmountPerTransfer: UFix64, serviceAccount: Address) {
+      transaction(maxAmountPerTransfer: UFix64, serviceAccount: Address, expiresAt: UFix64, dailyLimit: UFix64, monthlyLimit: UFix64, allowedRecipients: [Address]) {
         prepare(signer: auth(Storage, Capabilities) &Account) {
-          // Destroy existing authorization if present
-          if signer.storage.borrow<&AnyResource>(from: /storage/scheduledTransferAuth) != nil {
-            let oldAuth <- signer.storage.load<@AnyResource>(from: /storage/scheduledTransferAuth)
+          // Destroy existing authorization and policy if present
+          if signer.storage.borrow<&AnyResource>(from: ${paths.authorizationStoragePath}) != nil {
+            let oldAuth <- signer.storage.load<@AnyResource>(from: ${paths.authorizationStoragePath})
             destroy oldAuth
           }
+          signer.storage.load<{String: UFix64}>(from: ${paths.limitsStoragePath})
+          signer.storage.load<[Address]>(from: ${paths.recipientsStoragePath})
 
-          // Issue withdraw capability for FlowToken vault
+          // Delete withdraw capabilities issued for earlier authorizations
+          for controller in signer.capabilities.storage.getControllers(forPath: ${token.vaultStoragePath}) {
+            if controller.tag == "${WITHDRAW_CAPABILITY_TAG}" {
+              controller.delete()
+            }
+          }
+
+          // Issue withdraw capability for the ${token.symbol} vault
           let withdrawCap = signer.capabilities.storage
-            .issue<auth(FungibleToken.Withdraw) &FlowToken.Vault>(/storage/flowTokenVault)
+            .issue<auth(FungibleToken.Withdraw) &${token.contractName}.Vault>(${token.vaultStoragePath})
+          signer.capabilities.storage.getController(byCapabilityID: withdrawCap.id)!
+            .setTag("${WITHDRAW_CAPABILITY_TAG}")
           
           // Create the authorization resource
           let authorization <- ScheduledTransfer.createAuthorization(
@@ -270,38 +651,107 @@ const getAuthorizationTransaction = (maxAmountPerTransfer, expiryDays) => {
           )
           
           // Save to storage
-          signer.storage.save(<-authorization, to: /storage/scheduledTransferAuth)
+          signer.storage.save(<-authorization, to: ${paths.authorizationStoragePath})
+          signer.storage.save(
+            {"expiresAt": expiresAt, "dailyLimit": dailyLimit, "monthlyLimit": monthlyLimit},
+            to: ${paths.limitsStoragePath}
+          )
+          signer.storage.save(allowedRecipients, to: ${paths.recipientsStoragePath})
           
-          // Unpublish existing capability if present
-          signer.capabilities.unpublish(/public/scheduledTransferAuth)
+          // Unpublish existing capabilities if present
+          signer.capabilities.unpublish(${paths.authorizationPublicPath})
+          signer.capabilities.unpublish(${paths.limitsPublicPath})
+          signer.capabilities.unpublish(${paths.recipientsPublicPath})
           
-          // Publish a public capability so backend can access it
+          // Publish public capabilities so backend can access them
           let authCap = signer.capabilities.storage
-            .issue<&ScheduledTransfer.TransferAuthorization>(/storage/scheduledTransferAuth)
-          signer.capabilities.publish(authCap, at: /public/scheduledTransferAuth)
+            .issue<&ScheduledTransfer.TransferAuthorization>(${paths.authorizationStoragePath})
+          signer.capabilities.publish(authCap, at: ${paths.authorizationPublicPath})
           
-          log("Backend authorized for scheduled transfers")
+          let limitsCap = signer.capabilities.storage
+            .issue<&{String: UFix64}>(${paths.limitsStoragePath})
+          signer.capabilities.publish(limitsCap, at: ${paths.limitsPublicPath})
+          
+          let recipientsCap = signer.capabilities.storage
+            .issue<&[Address]>(${paths.recipientsStoragePath})
+          signer.capabilities.publish(recipientsCap, at: ${paths.recipientsPublicPath})
+          
+          log("Backend authorized for scheduled ${token.symbol} transfers")
         }
       }
     `,
-    args: (arg, t) => [
-      arg(maxAmountPerTransfer.toFixed(8), t.UFix64),
-      arg(serviceAccount, t.Address)
+    args: [
+      { type: 'UFix64', value: maxAmountPerTransfer.toFixed(8) },
+      { type: 'Address', value: serviceAccount },
+      { type: 'UFix64', value: (expiresAt.getTime() / 1000).toFixed(8) },
+      { type: 'UFix64', value: toUFix64Arg(dailyLimit) },
+      { type: 'UFix64', value: toUFix64Arg(monthlyLimit) },
+      { type: 'Array', value: allowedRecipients.map(address => ({ type: 'Address', value: address })) }
     ]
   };
 };
 
+/**
+ * Get transaction for user to revoke the backend authorization of a token
+ * Removes the authorization, its policy and the withdraw capability it was created from
+ */
+const getRevokeAuthorizationTransaction = (tokenSymbol = DEFAULT_TOKEN) => {
+  const token = getToken(tokenSymbol);
+  const paths = getAuthorizationPaths(token.symbol);
+
+  return {
+    cadence: `
+      transaction() {
+        prepare(signer: auth(Storage, Capabilities) &Account) {
+          signer.capabilities.unpublish(${paths.authorizationPublicPath})
+          signer.capabilities.unpublish(${paths.limitsPublicPath})
+          signer.capabilities.unpublish(${paths.recipientsPublicPath})
+
+          if signer.storage.borrow<&AnyResource>(from: ${paths.authorizationStoragePath}) != nil {
+            let oldAuth <- signer.storage.load<@AnyResource>(from: ${paths.authorizationStoragePath})
+            destroy oldAuth
+          }
+          signer.storage.load<{String: UFix64}>(from: ${paths.limitsStoragePath})
+          signer.storage.load<[Address]>(from: ${paths.recipientsStoragePath})
+
+          for controller in signer.capabilities.storage.getControllers(forPath: ${token.vaultStoragePath}) {
+            if controller.tag == "${WITHDRAW_CAPABILITY_TAG}" {
+              controller.delete()
+            }
+          }
+
+          log("Backend authorization for scheduled ${token.symbol} transfers revoked")
+        }
+      }
+    `,
+    args: []
+  };
+};
+
 /**
  * Alias for checkBackendAuthorization for consistency with route naming
  */
 const checkAuthorization = checkBackendAuthorization;
 
 module.exports = {
+  SCHEDULE_PRIORITIES,
+  SCHEDULER_STATUSES,
+  DEFAULT_SCHEDULE_PRIORITY,
+  DEFAULT_EXECUTION_EFFORT,
+  MAX_EXECUTION_EFFORT,
   checkHandlerInitialized,
   getInitHandlerTransaction,
   getScheduleTransferTransaction,
+  getCancelScheduledTransferTransaction,
+  estimateScheduleFees,
+  getScheduledTransaction,
+  verifyScheduledTransfer,
   executeScheduledTransfer,
+  executeBatchTransfer,
   checkBackendAuthorization,
+  getTokenBalance,
+  getFlowBalance,
   getAuthorizationTransaction,
+  getRevokeAuthorizationTransaction,
   checkAuthorization
 };
@@ -1,118 +1,474 @@
+const os = require('os');
+const crypto = require('crypto');
 const ScheduledTransfer = require('../models/ScheduledTransfer');
 const { executeInsuredAction } = require('./transactionService');
-const { executeScheduledTransfer: getExecutionTransaction, checkBackendAuthorization } = require('./scheduledTransferFlowService');
+const { executeBatchTransfer: getBatchExecutionTransaction, checkBackendAuthorization, getTokenBalance } = require('./scheduledTransferFlowService');
+const { DEFAULT_TOKEN, getToken } = require('../config/tokens');
 const { generateNextInstance } = require('./recurringTransferService');
+const { classifyError, computeRetryDelayMs } = require('./retryPolicyService');
+const { getSpentAmounts, getPolicyViolation } = require('./authorizationPolicyService');
+const { trackTransaction } = require('./transactionTrackerService');
+const { isStillScheduledOnChain, returnToFlowNative } = require('./flowFallbackService');
 const { fcl, getServiceAccountAuthorization } = require('../config/flow');
+const websocketServer = require('./websocketServer');
+
+const BATCH_SIZE = parseInt(process.env.SCHEDULED_TRANSFER_BATCH_SIZE || '20');
+
+// Identifies this backend instance as the owner of transfer leases
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+const LEASE_MS = parseInt(process.env.SCHEDULED_TRANSFER_LEASE_MS || '120000'); // 2 minutes
+// Transfers executing without a lease (from before leases existed) are considered stuck after this
+const STALE_EXECUTING_MS = parseInt(process.env.SCHEDULED_TRANSFER_STALE_MS || '600000'); // 10 minutes
+
+// Flow transaction status codes
+const TX_STATUS_SEALED = 4;
+const TX_STATUS_EXPIRED = 5;
+
+// UFix64 has 8 decimal places, tokens can accept fewer
+const toUFix64 = (amount, decimals = 8) => {
+  const scale = Math.pow(10, decimals);
+  return Math.floor(Number((amount * scale).toFixed(2))) / scale;
+};
 
 /**
- * Execute a scheduled transfer
- * This is called by the cron job when a transfer is due
+ * Resolve how much each recipient of a transfer receives
+ * A recipient's own amount wins, otherwise the transfer amount is paid to each recipient
+ * or split between them depending on amountPerRecipient
  */
-const executeScheduledTransfer = async (transferId) => {
+const getRecipientPayments = (transfer) => {
+  const recipients = transfer.recipients && transfer.recipients.length > 0
+    ? transfer.recipients
+    : [{ address: transfer.recipient }];
+
+  const sharedAmount = transfer.amountPerRecipient
+    ? transfer.amount
+    : transfer.amount / recipients.length;
+
+  const { decimals } = getToken(transfer.token);
+
+  return recipients.map((r, index) => ({
+    recipientIndex: index,
+    recipient: r.address,
+    amount: toUFix64(r.amount != null ? r.amount : sharedAmount, decimals)
+  }));
+};
+
+/**
+ * Indexes of the payments that completed payment results cover
+ * Results recorded before recipientIndex existed match the first uncovered payment to their address
+ */
+const getPaidIndexes = (payments, results) => {
+  const paid = new Set();
+
+  results.filter(r => r.status === 'completed').forEach(result => {
+    const index = typeof result.recipientIndex === 'number'
+      ? result.recipientIndex
+      : payments.findIndex(p => !paid.has(p.recipientIndex) && p.recipient === result.recipient);
+
+    if (index >= 0) {
+      paid.add(index);
+    }
+  });
+
+  return paid;
+};
+
+/**
+ * Payments of a transfer that earlier attempts have not made yet
+ */
+const getUnpaidPayments = (transfer, results = transfer.transactionIds || []) => {
+  const payments = getRecipientPayments(transfer);
+  const paid = getPaidIndexes(payments, results);
+
+  return payments.filter(p => !paid.has(p.recipientIndex));
+};
+
+/**
+ * Total amount of the token needed to pay the given payments
+ */
+const sumPayments = (payments) => toUFix64(payments.reduce((sum, p) => sum + p.amount, 0));
+
+/**
+ * Compare a wallet's vault balance of a token with the amount it needs to cover
+ */
+const checkBalance = async (userAddress, required, token = DEFAULT_TOKEN) => {
+  const balance = await getTokenBalance(userAddress, token);
+
+  return {
+    balance,
+    required,
+    isSufficient: balance >= required,
+    shortfall: toUFix64(Math.max(required - balance, 0))
+  };
+};
+
+/**
+ * Atomically claim a scheduled transfer for this instance by moving it to 'executing' with a lease
+ * Returns null if no transfer matches or another instance claimed it first
+ */
+const claimTransfer = async (query) => {
+  return ScheduledTransfer.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        status: 'executing',
+        lockOwner: INSTANCE_ID,
+        lockExpiresAt: new Date(Date.now() + LEASE_MS)
+      }
+    },
+    { sort: { scheduledDate: 1 }, new: true }
+  );
+};
+
+/**
+ * Extend the lease on a transfer this instance is executing
+ */
+const renewLease = async (transferId) => {
+  const result = await ScheduledTransfer.updateOne(
+    { _id: transferId, status: 'executing', lockOwner: INSTANCE_ID },
+    { $set: { lockExpiresAt: new Date(Date.now() + LEASE_MS) } }
+  );
+
+  if (result.modifiedCount === 0) {
+    console.warn(`⚠️  Lost lease on scheduled transfer ${transferId}`);
+  }
+};
+
+/**
+ * Keep renewing a lease until the returned stop function is called
+ */
+const keepLeaseAlive = (transferId) => {
+  const intervalId = setInterval(() => {
+    renewLease(transferId).catch(error => {
+      console.error(`Failed to renew lease on scheduled transfer ${transferId}:`, error.message);
+    });
+  }, LEASE_MS / 3);
+
+  return () => clearInterval(intervalId);
+};
+
+/**
+ * Error of a submitted transaction that failed on chain
+ * Returns null when the transaction is still in flight or its status cannot be fetched,
+ * since it may still pay its recipients
+ */
+const getSubmittedTransactionError = async (txId) => {
+  try {
+    const tx = await fcl.tx(txId).snapshot();
+
+    if (tx.errorMessage) {
+      return tx.errorMessage;
+    }
+
+    if (tx.status === TX_STATUS_EXPIRED) {
+      return 'Transaction expired before execution';
+    }
+  } catch (error) {
+    console.error(`Failed to fetch status of transaction ${txId}:`, error.message);
+  }
+
+  return null;
+};
+
+/**
+ * When the block holding a sealed transaction was produced, the time its payments count from
+ * against the authorization's daily and monthly limits. Now when the block cannot be fetched
+ */
+const getSealedAt = async (tx) => {
   try {
-    const transfer = await ScheduledTransfer.findById(transferId);
-    
-    if (!transfer) {
-      throw new Error('Scheduled transfer not found');
+    if (tx.blockId) {
+      const block = await fcl.block({ id: tx.blockId });
+      return new Date(block.timestamp);
     }
+  } catch (error) {
+    console.error(`Failed to fetch block ${tx.blockId}:`, error.message);
+  }
 
-    if (transfer.status !== 'scheduled') {
-      throw new Error(`Transfer status is ${transfer.status}, cannot execute`);
+  return new Date();
+};
+
+const releaseLease = (transfer) => {
+  transfer.lockOwner = undefined;
+  transfer.lockExpiresAt = undefined;
+  transfer.submissionStartedAt = undefined;
+};
+
+/**
+ * Pay recipients in chunked batch transactions signed by the service account
+ * Each submitted transaction is persisted as 'pending' before waiting for seal,
+ * so a transfer interrupted by a crash can be reconciled on chain. A submission that fails
+ * without returning an id stops the run with submissionStartedAt still set
+ * spent is what the authorization already paid out today and this month; the execution
+ * transaction checks every batch against the daily and monthly limits with these totals
+ * Returns one result per payment, including recipients paid by earlier attempts
+ */
+const executePayments = async (transfer, payments, spent = {}) => {
+  const serviceAuth = getServiceAccountAuthorization();
+  const results = (transfer.transactionIds || [])
+    .filter(r => r.status === 'completed')
+    .map(r => r.toObject());
+  let paidNow = 0;
+
+  // A transfer that fell back from Flow-native execution cancels its on-chain schedule with the
+  // first payment; once that sealed there is no schedule left to cancel
+  const cancelsSchedule = !!transfer.fallbackAt && results.length === 0;
+
+  for (let i = 0; i < payments.length; i += BATCH_SIZE) {
+    const batch = payments.slice(i, i + BATCH_SIZE);
+    let txId = null;
+    let submittedAt = null;
+
+    try {
+      const transaction = await getBatchExecutionTransaction(transfer.userAddress, batch, transfer.token, {
+        spentToday: (spent.spentToday || 0) + paidNow,
+        spentThisMonth: (spent.spentThisMonth || 0) + paidNow
+      }, { scheduledTxId: cancelsSchedule && i === 0 ? transfer.scheduledTxId : undefined });
+
+      // Mark the submission so an interruption before the id is saved can be detected
+      transfer.submissionStartedAt = new Date();
+      await transfer.save();
+      submittedAt = transfer.submissionStartedAt;
+
+      txId = await fcl.mutate({
+        cadence: transaction.cadence,
+        args: transaction.args,
+        proposer: serviceAuth,
+        payer: serviceAuth,
+        authorizations: [serviceAuth],
+        limit: 9999
+      });
+
+      transfer.submissionStartedAt = undefined;
+      transfer.transactionIds = [
+        ...results,
+        ...batch.map(p => ({
+          recipientIndex: p.recipientIndex,
+          recipient: p.recipient,
+          amount: p.amount,
+          transactionId: txId,
+          status: 'pending',
+          submittedAt
+        }))
+      ];
+      await transfer.save();
+
+      trackTransaction({
+        txId,
+        type: 'scheduled_transfer',
+        userAddress: transfer.userAddress,
+        params: { transferId: transfer._id, token: transfer.token }
+      }).catch(error => {
+        console.error(`Failed to track transaction ${txId}:`, error.message);
+      });
+
+      // Wait for seal
+      const sealed = await fcl.tx(txId).onceSealed();
+
+      const paidAt = await getSealedAt(sealed);
+      paidNow += sumPayments(batch);
+      results.push(...batch.map(p => ({
+        recipientIndex: p.recipientIndex,
+        recipient: p.recipient,
+        amount: p.amount,
+        transactionId: txId,
+        status: 'completed',
+        paidAt
+      })));
+    } catch (error) {
+      // fcl.mutate failed without an id, yet the transaction may have reached the access node:
+      // keep submissionStartedAt so the reconciler never pays this batch again automatically
+      if (submittedAt && !txId) {
+        console.error(`⚠️  Submission of a batch from ${transfer.userAddress} was interrupted:`, error.message);
+        break;
+      }
+
+      transfer.submissionStartedAt = undefined;
+
+      // A submitted transaction may still pay the batch, so its payments stay pending for the
+      // reconciler unless the chain reports the transaction failed
+      const txError = txId ? await getSubmittedTransactionError(txId) : error.message;
+      if (!txError) {
+        console.error(`⚠️  Lost track of batch transaction ${txId} from ${transfer.userAddress}:`, error.message);
+        paidNow += sumPayments(batch);
+        results.push(...batch.map(p => ({
+          recipientIndex: p.recipientIndex,
+          recipient: p.recipient,
+          amount: p.amount,
+          transactionId: txId,
+          status: 'pending',
+          submittedAt
+        })));
+        continue;
+      }
+
+      console.error(`❌ Batch of ${batch.length} payments from ${transfer.userAddress} failed:`, txError);
+      results.push(...batch.map(p => ({
+        recipientIndex: p.recipientIndex,
+        recipient: p.recipient,
+        amount: p.amount,
+        transactionId: txId,
+        status: 'failed',
+        error: txError
+      })));
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Mark a transfer completed and generate the next recurring instance
+ */
+const completeTransfer = async (transfer) => {
+  transfer.status = 'completed';
+  transfer.executedAt = new Date();
+  transfer.errorMessage = undefined;
+  transfer.failureReason = undefined;
+  releaseLease(transfer);
+  await transfer.save();
+
+  console.log(`✅ Scheduled transfer ${transfer._id} executed successfully`);
+  console.log(`   Paid ${transfer.transactionIds.length} recipient(s) in ${new Set(transfer.transactionIds.map(r => r.transactionId)).size} transaction(s)`);
+
+  // Generate next instance if recurring
+  if (transfer.parentRecurringId) {
+    try {
+      await generateNextInstance(transfer.parentRecurringId);
+    } catch (error) {
+      console.error('Failed to generate next recurring instance:', error);
     }
+  }
+};
+
+/**
+ * Reschedule a failed execution according to its retry policy, or mark it failed / partially completed
+ * Terminal errors are never retried. Every attempt is recorded in retryHistory
+ */
+const recordFailure = async (transfer, errorMessage) => {
+  const classification = classifyError(errorMessage);
+  const hasRetriesLeft = (transfer.retryCount || 0) < (transfer.retryLimit || 0);
+  const canRetry = transfer.executionMethod === 'backend' && classification.retryable && hasRetriesLeft;
+  const hasCompleted = (transfer.transactionIds || []).some(r => r.status === 'completed');
+  const delayMs = canRetry ? computeRetryDelayMs(transfer.retryPolicy, (transfer.retryCount || 0) + 1) : null;
 
+  transfer.retryHistory.push({
+    attempt: (transfer.retryCount || 0) + 1,
+    error: errorMessage,
+    retryable: classification.retryable,
+    reason: classification.reason,
+    attemptedAt: new Date(),
+    nextAttemptAt: canRetry ? new Date(Date.now() + delayMs) : undefined
+  });
+
+  releaseLease(transfer);
+  transfer.errorMessage = errorMessage;
+
+  if (canRetry) {
+    transfer.retryCount = (transfer.retryCount || 0) + 1;
+    transfer.scheduledDate = new Date(Date.now() + delayMs);
+    transfer.status = 'scheduled';
+    await transfer.save();
+    console.log(`↩️  Rescheduled transfer ${transfer._id} for retry ${transfer.retryCount}/${transfer.retryLimit} in ${Math.round(delayMs / 1000)}s`);
+  } else {
+    if (hasCompleted) {
+      transfer.status = 'partially_completed';
+    } else {
+      transfer.status = classification.reason === 'insufficient_funds' ? 'insufficient_funds' : 'failed';
+    }
+    transfer.failureReason = classification.retryable ? 'retries_exhausted' : classification.reason;
+    transfer.executedAt = new Date();
+    await transfer.save();
+
+    if (!classification.retryable) {
+      console.log(`⛔ Transfer ${transfer._id} failed with terminal error (${classification.reason}), not retrying`);
+    }
+  }
+};
+
+/**
+ * Execute a transfer this instance has claimed
+ * Recipients already paid by an earlier attempt are skipped, so retries only pay the failed ones
+ */
+const executeClaimedTransfer = async (transfer) => {
+  const stopRenewing = keepLeaseAlive(transfer._id);
+
+  try {
     // Check if user has authorized backend
-    const authCheck = await checkBackendAuthorization(transfer.userAddress);
+    const authCheck = await checkBackendAuthorization(transfer.userAddress, transfer.token);
     if (!authCheck.isAuthorized || authCheck.isRevoked) {
-      throw new Error('User has not authorized backend or authorization is revoked');
+      throw new Error(`User has not authorized backend for ${transfer.token} or authorization is revoked`);
     }
 
-    // Validate amount against authorization
-    if (transfer.amount > authCheck.maxAmountPerTransfer) {
-      throw new Error(`Transfer amount ${transfer.amount} exceeds authorized maximum ${authCheck.maxAmountPerTransfer}`);
+    const payments = getUnpaidPayments(transfer);
+
+    // Validate amounts against authorization
+    for (const payment of payments) {
+      if (payment.amount > authCheck.maxAmountPerTransfer) {
+        throw new Error(`Transfer amount ${payment.amount} exceeds authorized maximum ${authCheck.maxAmountPerTransfer}`);
+      }
     }
 
-    // Update status to executing
-    transfer.status = 'executing';
-    await transfer.save();
+    // Expiry, allowed recipients and daily / monthly limits the user signed with the authorization
+    const spent = await getSpentAmounts(transfer.userAddress, transfer.token);
+    const policyViolation = getPolicyViolation(authCheck, payments, spent);
+    if (policyViolation) {
+      throw new Error(policyViolation);
+    }
 
-    // Get execution transaction
-    const transaction = await getExecutionTransaction(
-      transfer.userAddress,
-      transfer.recipient,
-      transfer.amount
-    );
-
-    // Execute with service account
-    const serviceAuth = getServiceAccountAuthorization();
-    const txId = await fcl.mutate({
-      cadence: transaction.cadence,
-      args: transaction.args,
-      proposer: serviceAuth,
-      payer: serviceAuth,
-      authorizations: [serviceAuth],
-      limit: 9999
-    });
+    // Fail fast instead of letting the withdrawal panic on chain
+    const balanceCheck = await checkBalance(transfer.userAddress, sumPayments(payments), transfer.token);
+    if (!balanceCheck.isSufficient) {
+      throw new Error(`Insufficient ${transfer.token} balance: ${balanceCheck.required} required, ${balanceCheck.balance} available`);
+    }
+
+    // A transfer that fell back from Flow-native execution is still scheduled on chain; hand it
+    // back when the scheduler already executed or cancelled it. Otherwise the payment transaction
+    // cancels the schedule itself before paying, so only one of them can pay
+    if (transfer.fallbackAt && !(await isStillScheduledOnChain(transfer))) {
+      await returnToFlowNative(transfer);
+
+      return {
+        success: false,
+        error: 'Scheduled transaction is no longer pending on chain, the scheduler settles this transfer'
+      };
+    }
+
+    const results = await executePayments(transfer, payments, spent);
+    const failedResults = results.filter(r => r.status === 'failed');
+    const firstCompleted = results.find(r => r.status === 'completed');
 
-    // Wait for seal
-    await fcl.tx(txId).onceSealed();
-
-    const results = [{
-      recipient: transfer.recipient,
-      transactionId: txId,
-      status: 'completed'
-    }];
-    const allSuccessful = true;
-
-    if (allSuccessful) {
-      transfer.status = 'completed';
-      transfer.executedAt = new Date();
-      transfer.transactionIds = results;
-      transfer.transactionId = results[0].transactionId;
+    transfer.transactionIds = results;
+    transfer.transactionId = firstCompleted ? firstCompleted.transactionId : undefined;
+
+    // Outcome of a submitted transaction is unknown, let the reconciler settle it from the chain
+    if (transfer.submissionStartedAt || results.some(r => r.status === 'pending')) {
+      stopRenewing();
+      transfer.lockExpiresAt = new Date();
       await transfer.save();
 
-      console.log(`✅ Scheduled transfer ${transferId} executed successfully`);
-      console.log(`   Transaction: ${txId}`);
-      
-      // Generate next instance if recurring
-      if (transfer.parentRecurringId) {
-        try {
-          await generateNextInstance(transfer.parentRecurringId);
-        } catch (error) {
-          console.error('Failed to generate next recurring instance:', error);
-        }
-      }
-      
       return {
-        success: true,
-        transfer,
-        results
+        success: false,
+        pending: true,
+        error: 'Waiting for submitted transactions to seal, the transfer will be reconciled on chain'
       };
-    } else {
-      throw new Error(`Some transfers failed: ${results.filter(r => r.status === 'failed').length}/${recipients.length}`);
     }
+
+    if (failedResults.length > 0) {
+      throw new Error(`Some transfers failed: ${failedResults.length}/${results.length}: ${failedResults[0].error}`);
+    }
+
+    await completeTransfer(transfer);
+
+    return {
+      success: true,
+      transfer,
+      results
+    };
   } catch (error) {
-    console.error(`❌ Failed to execute scheduled transfer ${transferId}:`, error);
-    
-    // Update transfer with failure
+    console.error(`❌ Failed to execute scheduled transfer ${transfer._id}:`, error);
+
     try {
-      const transfer = await ScheduledTransfer.findById(transferId);
-      if (transfer) {
-        const canRetry = transfer.executionMethod === 'backend' && (transfer.retryCount || 0) < (transfer.retryLimit || 0);
-        if (canRetry) {
-          transfer.retryCount = (transfer.retryCount || 0) + 1;
-          const backoffMinutes = 5;
-          transfer.scheduledDate = new Date(Date.now() + backoffMinutes * 60 * 1000);
-          transfer.status = 'scheduled';
-          transfer.errorMessage = error.message;
-          await transfer.save();
-          console.log(`↩️  Rescheduled transfer ${transferId} for retry ${transfer.retryCount}/${transfer.retryLimit} in ${backoffMinutes}m`);
-        } else {
-          transfer.status = 'failed';
-          transfer.executedAt = new Date();
-          transfer.errorMessage = error.message;
-          await transfer.save();
-        }
-      }
+      await recordFailure(transfer, error.message);
     } catch (updateError) {
       console.error('Failed to update transfer status:', updateError);
     }
@@ -121,36 +477,163 @@ const executeScheduledTransfer = async (transferId) => {
       success: false,
       error: error.message
     };
+  } finally {
+    stopRenewing();
+  }
+};
+
+/**
+ * Execute a scheduled transfer by id
+ */
+const executeScheduledTransfer = async (transferId) => {
+  const transfer = await claimTransfer({ _id: transferId, status: 'scheduled' });
+
+  if (!transfer) {
+    return {
+      success: false,
+      error: 'Transfer is not scheduled or is already being executed'
+    };
   }
+
+  return executeClaimedTransfer(transfer);
+};
+
+/**
+ * Reconcile a transfer whose executing instance went away (e.g. crashed while waiting for seal)
+ * using the on-chain status of the transactions it submitted
+ */
+const reconcileTransfer = async (transfer) => {
+  const interruptedSubmission = !!transfer.submissionStartedAt;
+  const hadPending = (transfer.transactionIds || []).some(r => r.status === 'pending');
+  const results = [];
+
+  for (const entry of transfer.transactionIds || []) {
+    const result = entry.toObject();
+
+    if (result.status === 'pending' && result.transactionId) {
+      const tx = await fcl.tx(result.transactionId).snapshot();
+
+      if (tx.errorMessage) {
+        result.status = 'failed';
+        result.error = tx.errorMessage;
+      } else if (tx.status === TX_STATUS_EXPIRED) {
+        result.status = 'failed';
+        result.error = 'Transaction expired before execution';
+      } else if (tx.status === TX_STATUS_SEALED) {
+        result.status = 'completed';
+        result.paidAt = await getSealedAt(tx);
+      }
+    }
+
+    results.push(result);
+  }
+
+  transfer.transactionIds = results;
+
+  // Still in flight: check again when the new lease expires
+  if (results.some(r => r.status === 'pending')) {
+    await transfer.save();
+    return transfer;
+  }
+
+  const unpaid = getUnpaidPayments(transfer, results);
+  const hasCompleted = results.some(r => r.status === 'completed');
+  const firstCompleted = results.find(r => r.status === 'completed');
+  transfer.transactionId = firstCompleted ? firstCompleted.transactionId : undefined;
+
+  if (unpaid.length === 0) {
+    await completeTransfer(transfer);
+  } else if (interruptedSubmission) {
+    // A transaction may have been sent without its id being recorded, so never pay again automatically
+    releaseLease(transfer);
+    transfer.status = hasCompleted ? 'partially_completed' : 'failed';
+    transfer.failureReason = 'interrupted_submission';
+    transfer.executedAt = new Date();
+    transfer.errorMessage = 'Execution was interrupted while submitting a transaction whose id was not recorded. Check the service account transactions on chain before replaying.';
+    await transfer.save();
+  } else if (!hadPending) {
+    // Nothing was submitted in the interrupted attempt, so it is safe to run it again
+    releaseLease(transfer);
+    transfer.status = 'scheduled';
+    transfer.errorMessage = 'Execution was interrupted before submitting a transaction';
+    await transfer.save();
+  } else {
+    await recordFailure(transfer, `Execution interrupted: ${unpaid.length} recipient(s) not paid`);
+  }
+
+  console.log(`🔧 Reconciled scheduled transfer ${transfer._id}: ${transfer.status}`);
+
+  return transfer;
+};
+
+/**
+ * Take over and reconcile transfers stuck in 'executing': leases that expired,
+ * and transfers without a lease that have not been updated for a while
+ */
+const reconcileStaleTransfers = async () => {
+  const results = [];
+  let transfer;
+
+  // Flow-native transfers are 'executing' while their scheduled execution settles on chain
+  const staleQuery = () => ({
+    status: 'executing',
+    executionMethod: { $ne: 'flow_native' },
+    $or: [
+      { lockExpiresAt: { $lt: new Date() } },
+      { lockExpiresAt: null, updatedAt: { $lt: new Date(Date.now() - STALE_EXECUTING_MS) } }
+    ],
+    _id: { $nin: results.map(r => r.transferId) }
+  });
+
+  while ((transfer = await ScheduledTransfer.findOneAndUpdate(
+    staleQuery(),
+    { $set: { lockOwner: INSTANCE_ID, lockExpiresAt: new Date(Date.now() + LEASE_MS) } },
+    { new: true }
+  ))) {
+    try {
+      const reconciled = await reconcileTransfer(transfer);
+      results.push({ transferId: reconciled._id, status: reconciled.status });
+
+      websocketServer.broadcastTransactionUpdate(reconciled.transactionId || null, reconciled.status, {
+        transferId: reconciled._id,
+        userAddress: reconciled.userAddress,
+        reconciled: true,
+        transactionIds: reconciled.transactionIds,
+        errorMessage: reconciled.errorMessage
+      });
+    } catch (error) {
+      console.error(`Failed to reconcile scheduled transfer ${transfer._id}:`, error.message);
+      results.push({ transferId: transfer._id, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
 };
 
 /**
  * Find and execute all due scheduled transfers
  * This is called by the cron job every minute
+ * Transfers are claimed one at a time so concurrent instances never execute the same transfer
  */
 const processDueTransfers = async () => {
   try {
     const now = new Date();
-    
-    // Find all scheduled transfers that are due
-    const dueTransfers = await ScheduledTransfer.find({
+    const results = [];
+    let transfer;
+
+    // Claim due transfers one by one, oldest first
+    // Recurring parents are templates, only their instances are executed
+    while ((transfer = await claimTransfer({
       status: 'scheduled',
       executionMethod: 'backend',
+      isRecurring: { $ne: true },
       scheduledDate: { $lte: now }
-    }).sort({ scheduledDate: 1 });
-
-    if (dueTransfers.length === 0) {
-      return {
-        processed: 0,
-        message: 'No due transfers to process'
-      };
-    }
-
-    console.log(`📅 Processing ${dueTransfers.length} due scheduled transfers...`);
+    }))) {
+      if (results.length === 0) {
+        console.log('📅 Processing due scheduled transfers...');
+      }
 
-    const results = [];
-    for (const transfer of dueTransfers) {
-      const result = await executeScheduledTransfer(transfer._id);
+      const result = await executeClaimedTransfer(transfer);
       results.push({
         transferId: transfer._id,
         title: transfer.title,
@@ -158,13 +641,20 @@ const processDueTransfers = async () => {
       });
     }
 
+    if (results.length === 0) {
+      return {
+        processed: 0,
+        message: 'No due transfers to process'
+      };
+    }
+
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
 
-    console.log(`✅ Processed ${dueTransfers.length} transfers: ${successful} successful, ${failed} failed`);
+    console.log(`✅ Processed ${results.length} transfers: ${successful} successful, ${failed} failed`);
 
     return {
-      processed: dueTransfers.length,
+      processed: results.length,
       successful,
       failed,
       results
@@ -182,10 +672,21 @@ const getScheduledTransferStats = async (userAddress) => {
   const stats = {
     total: 0,
     scheduled: 0,
+    paused: 0,
     executing: 0,
     completed: 0,
+    partially_completed: 0,
     failed: 0,
-    cancelled: 0
+    insufficient_funds: 0,
+    skipped: 0,
+    cancelling: 0,
+    cancelled: 0,
+    // Flow-native transfers by the priority they were scheduled with, and their fees in FLOW
+    flowNative: {
+      byPriority: { High: 0, Medium: 0, Low: 0 },
+      schedulingFees: 0,
+      refundedFees: 0
+    }
   };
 
   const query = userAddress ? { userAddress } : {};
@@ -194,16 +695,36 @@ const getScheduledTransferStats = async (userAddress) => {
   
   stats.total = transfers.length;
   stats.scheduled = transfers.filter(t => t.status === 'scheduled').length;
+  stats.paused = transfers.filter(t => t.status === 'paused').length;
   stats.executing = transfers.filter(t => t.status === 'executing').length;
   stats.completed = transfers.filter(t => t.status === 'completed').length;
+  stats.partially_completed = transfers.filter(t => t.status === 'partially_completed').length;
   stats.failed = transfers.filter(t => t.status === 'failed').length;
+  stats.insufficient_funds = transfers.filter(t => t.status === 'insufficient_funds').length;
+  stats.skipped = transfers.filter(t => t.status === 'skipped').length;
+  stats.cancelling = transfers.filter(t => t.status === 'cancelling').length;
   stats.cancelled = transfers.filter(t => t.status === 'cancelled').length;
 
+  for (const transfer of transfers.filter(t => t.executionMethod === 'flow_native')) {
+    if (transfer.schedulePriority) {
+      stats.flowNative.byPriority[transfer.schedulePriority]++;
+    }
+    stats.flowNative.schedulingFees += transfer.schedulingFee || 0;
+    stats.flowNative.refundedFees += transfer.refundedFee || 0;
+  }
+  stats.flowNative.schedulingFees = Number(stats.flowNative.schedulingFees.toFixed(8));
+  stats.flowNative.refundedFees = Number(stats.flowNative.refundedFees.toFixed(8));
+
   return stats;
 };
 
 module.exports = {
+  getRecipientPayments,
+  getUnpaidPayments,
+  sumPayments,
+  checkBalance,
   executeScheduledTransfer,
+  reconcileStaleTransfers,
   processDueTransfers,
   getScheduledTransferStats
 };
@@ -1,4 +1,5 @@
 const fcl = require('@onflow/fcl');
+const { isWorkerPaused } = require('./workerStateService');
 
 class SchedulerService {
   constructor() {
@@ -35,8 +36,19 @@ class SchedulerService {
     console.log('Scheduler service stopped');
   }
 
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      pollInterval: this.pollInterval
+    };
+  }
+
   async checkScheduledActions() {
     try {
+      if (await isWorkerPaused('insured-action-scheduler')) {
+        return;
+      }
+
       const scheduledActions = await this.getScheduledActions();
       
       if (!scheduledActions || scheduledActions.length === 0) {
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthChallenge = require('../models/AuthChallenge');
+const Session = require('../models/Session');
+const { APP_IDENTIFIER, verifyAccountProof } = require('./walletAuthService');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.SESSION_ACCESS_TOKEN_TTL || '900'); // 15 minutes
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.SESSION_REFRESH_TOKEN_TTL_DAYS || '7') * 24 * 60 * 60 * 1000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const authError = (message) => createError(message, 401);
+
+const getTokenSecret = () => {
+  const secret = process.env.SESSION_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Session token secret not configured. Set SESSION_TOKEN_SECRET in .env');
+  }
+  return secret;
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * New refresh token with the hash and expiry a session stores for it
+ */
+const createRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  return {
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  };
+};
+
+/**
+ * Access token for a saved session, returned next to its refresh token
+ */
+const buildTokens = (session, refreshToken) => {
+  const accessToken = jwt.sign(
+    { sub: session.address, sid: session._id.toString() },
+    getTokenSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, issuer: APP_IDENTIFIER }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshExpiresAt: session.expiresAt,
+    address: session.address
+  };
+};
+
+/**
+ * Create a one-time login challenge. The nonce is what FCL's account proof resolver signs.
+ */
+const createChallenge = async () => {
+  const challenge = await AuthChallenge.create({
+    nonce: crypto.randomBytes(32).toString('hex'),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+  });
+
+  return {
+    appIdentifier: APP_IDENTIFIER,
+    nonce: challenge.nonce,
+    expiresAt: challenge.expiresAt
+  };
+};
+
+/**
+ * Use up a login challenge. Returns false if the nonce was not issued by createChallenge,
+ * has expired or was already used
+ */
+const consumeChallenge = async (nonce) => {
+  if (typeof nonce !== 'string') {
+    return false;
+  }
+
+  const challenge = await AuthChallenge.findOneAndDelete({
+    nonce: nonce.toLowerCase(),
+    expiresAt: { $gt: new Date() }
+  });
+
+  return !!challenge;
+};
+
+/**
+ * Exchange a signed account proof for a new session
+ */
+const login = async (proof, { userAgent, ipAddress } = {}) => {
+  if (!proof || !proof.nonce) {
+    throw authError('Account proof with nonce is required');
+  }
+
+  if (typeof proof.nonce !== 'string' || !/^[0-9a-f]+$/i.test(proof.nonce)) {
+    throw createError('nonce must be the hex string issued by /api/auth/challenge', 400);
+  }
+
+  // Consume the challenge first so a proof can never be used twice
+  if (!(await consumeChallenge(proof.nonce))) {
+    throw authError('Login challenge is invalid or expired');
+  }
+
+  const result = await verifyAccountProof(proof);
+  if (!result.isValid) {
+    throw authError(result.error);
+  }
+
+  const { refreshToken, refreshTokenHash, expiresAt } = createRefreshToken();
+  const session = await Session.create({
+    address: result.address,
+    refreshTokenHash,
+    expiresAt,
+    userAgent,
+    ipAddress
+  });
+
+  return buildTokens(session, refreshToken);
+};
+
+/**
+ * Rotate a refresh token, returning a fresh token pair
+ * The rotation is a single update keyed on the old token, so concurrent refreshes with the same
+ * token cannot both succeed
+ */
+const refresh = async (refreshToken) => {
+  if (!refreshToken) {
+    throw authError('Refresh token is required');
+  }
+
+  if (typeof refreshToken !== 'string') {
+    throw createError('refreshToken must be a string', 400);
+  }
+
+  const rotated = createRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: rotated.refreshTokenHash,
+        expiresAt: rotated.expiresAt,
+        lastRefreshedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    throw authError('Refresh token is invalid or expired');
+  }
+
+  return buildTokens(session, rotated.refreshToken);
+};
+
+/**
+ * Fail at startup instead of on the first login when the session secret is missing
+ */
+const assertSessionConfig = () => {
+  getTokenSecret();
+};
+
+/**
+ * Resolve the session behind an access token. Returns null if the token or session is not valid
+ * (revoked or expired). A missing token secret is a server error, not an invalid token
+ */
+const verifyAccessToken = async (accessToken) => {
+  const secret = getTokenSecret();
+
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, secret, { issuer: APP_IDENTIFIER });
+  } catch (error) {
+    return null;
+  }
+
+  const session = await Session.findById(payload.sid);
+
+  if (!session || session.revokedAt || session.address !== payload.sub || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return {
+    address: session.address,
+    sessionId: session._id.toString()
+  };
+};
+
+/**
+ * Revoke one session, or every session of an address
+ */
+const revokeSessions = async (address, sessionId = null) => {
+  const query = { address, revokedAt: null };
+  if (sessionId) {
+    query._id = sessionId;
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+
+  return {
+    revoked: result.modifiedCount
+  };
+};
+
+module.exports = {
+  assertSessionConfig,
+  createChallenge,
+  consumeChallenge,
+  login,
+  refresh,
+  verifyAccessToken,
+  revokeSessions
+};
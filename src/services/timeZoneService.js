@@ -0,0 +1,168 @@
+/**
+ * IANA time zone helpers built on Intl, so schedules follow the user's wall clock across DST
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone (month is 0-based like Date)
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: new Date(date).getUTCMilliseconds()
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffsetMs = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+
+  return asUtc - instant.getTime();
+};
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * Out-of-range parts roll over like Date.UTC (day 32 is the 1st of the next month).
+ * Times skipped by a DST change resolve to the same wall time after the change
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = DEFAULT_TIME_ZONE) => {
+  const asUtc = Date.UTC(year, month, day, hour, minute, second, millisecond);
+  const offset = getOffsetMs(asUtc, timeZone);
+  const candidate = asUtc - offset;
+  const correctedOffset = getOffsetMs(candidate, timeZone);
+  if (correctedOffset === offset) {
+    return new Date(candidate);
+  }
+
+  const retry = asUtc - correctedOffset;
+  if (getOffsetMs(retry, timeZone) === correctedOffset) {
+    return new Date(retry);
+  }
+
+  // Skipped wall time: shift by the offset from before the change, landing just after it
+  return new Date(asUtc - Math.min(offset, correctedOffset));
+};
+
+// ISO 8601 date or local date-time without an offset, e.g. 2025-03-10 or 2025-03-10T09:00
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+/**
+ * Parse a date sent by a client. Strings without an offset are wall-clock times in the time
+ * zone, anything else (offset or Z strings, Dates, timestamps) is an instant as given
+ * Returns an invalid Date when the value cannot be parsed
+ */
+const parseZonedDate = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const match = typeof value === 'string' ? LOCAL_DATE_TIME.exec(value.trim()) : null;
+  if (!match) {
+    return new Date(value);
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month) - 1,
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+    millisecond: Number(fraction.padEnd(3, '0'))
+  };
+
+  // Reject values Date.UTC would roll over, like 2025-02-30 or 24:00
+  const asUtc = new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second));
+  if (asUtc.getUTCMonth() !== parts.month || asUtc.getUTCDate() !== parts.day || asUtc.getUTCHours() !== parts.hour ||
+    asUtc.getUTCMinutes() !== parts.minute || asUtc.getUTCSeconds() !== parts.second) {
+    return new Date(NaN);
+  }
+
+  return zonedTimeToUtc(parts, timeZone);
+};
+
+/**
+ * First and last instant of a calendar month in a time zone (month is 1-based)
+ */
+const getMonthRange = (year, month, timeZone = DEFAULT_TIME_ZONE) => {
+  const start = zonedTimeToUtc({ year, month: month - 1, day: 1 }, timeZone);
+  const nextStart = zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+
+  return {
+    start,
+    end: new Date(nextStart.getTime() - 1)
+  };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * ISO 8601 local time with offset, e.g. 2025-03-10T09:00:00.000-04:00
+ */
+const formatLocal = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!date) {
+    return null;
+  }
+
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffsetMs(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+
+  return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}.${pad(parts.millisecond, 3)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  parseZonedDate,
+  getMonthRange,
+  formatLocal
+};
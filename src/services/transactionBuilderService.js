@@ -0,0 +1,177 @@
+const autoCompoundService = require('./autoCompoundService');
+
+/**
+ * Unsigned transactions for operations the user's wallet signs itself
+ *
+ * The backend cannot sign for users, so it returns the Cadence and JSON-Cadence encoded
+ * arguments for the client to send through its wallet (fcl.mutate). The client reports the
+ * resulting transaction id to POST /api/transactions/submitted so it is tracked to seal.
+ */
+
+const TRANSACTION_TYPES = [
+  'stake',
+  'unstake',
+  'protect_dapper_asset',
+  'enable_auto_compound',
+  'disable_auto_compound',
+  'execute_compound'
+];
+
+// Computation limit suggested to the client
+const DEFAULT_LIMIT = 999;
+
+const ufix64 = (value) => ({ type: 'UFix64', value: Number(value).toFixed(8) });
+const uint64 = (value) => ({ type: 'UInt64', value: String(value) });
+const string = (value) => ({ type: 'String', value: String(value) });
+
+const createError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const requirePositiveAmount = (amount) => {
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw createError('amount must be a positive number');
+  }
+};
+
+const buildTransaction = (type, signer, cadence, args = []) => ({
+  type,
+  signer,
+  cadence,
+  args,
+  limit: DEFAULT_LIMIT
+});
+
+const buildStakeTransaction = (signer, { amount }) => {
+  requirePositiveAmount(amount);
+
+  return buildTransaction('stake', signer, `
+      import FrothRewards from 0x8401ed4fc6788c8a
+
+      transaction(amount: UFix64) {
+        let stakerRef: &FrothRewards.FrothStaker
+
+        prepare(signer: auth(BorrowValue) &Account) {
+          self.stakerRef = signer.storage.borrow<&FrothRewards.FrothStaker>(
+            from: FrothRewards.StakerStoragePath
+          ) ?? panic("No staker found")
+        }
+
+        execute {
+          self.stakerRef.stake(amount: amount)
+        }
+      }
+    `, [ufix64(amount)]);
+};
+
+const buildUnstakeTransaction = (signer, { amount }) => {
+  requirePositiveAmount(amount);
+
+  return buildTransaction('unstake', signer, `
+      import FrothRewards from 0x8401ed4fc6788c8a
+
+      transaction(amount: UFix64) {
+        let stakerRef: &FrothRewards.FrothStaker
+
+        prepare(signer: auth(BorrowValue) &Account) {
+          self.stakerRef = signer.storage.borrow<&FrothRewards.FrothStaker>(
+            from: FrothRewards.StakerStoragePath
+          ) ?? panic("No staker found")
+        }
+
+        execute {
+          self.stakerRef.unstake(amount: amount)
+        }
+      }
+    `, [ufix64(amount)]);
+};
+
+const buildProtectDapperAssetTransaction = (signer, { assetType, assetId, actionType }) => {
+  if (!assetType || assetId === undefined || assetId === null || !actionType) {
+    throw createError('assetType, assetId and actionType are required');
+  }
+
+  return buildTransaction('protect_dapper_asset', signer, `
+      import DapperAssetProtection from 0x8401ed4fc6788c8a
+
+      transaction(assetType: String, assetId: UInt64, actionType: String) {
+        let managerRef: &DapperAssetProtection.ProtectionManager
+
+        prepare(signer: auth(BorrowValue) &Account) {
+          self.managerRef = signer.storage.borrow<&DapperAssetProtection.ProtectionManager>(
+            from: DapperAssetProtection.ProtectionManagerStoragePath
+          ) ?? panic("No protection manager found")
+        }
+
+        execute {
+          let actionId = self.managerRef.insureDapperAsset(
+            user: self.managerRef.owner!.address,
+            assetType: assetType,
+            assetId: assetId,
+            actionType: actionType
+          )
+
+          log("Asset protected with action ID: ".concat(actionId))
+        }
+      }
+    `, [string(assetType), uint64(assetId), string(actionType)]);
+};
+
+const buildEnableAutoCompoundTransaction = (signer, { frequency }) => {
+  if (typeof frequency !== 'number' || !(frequency > 0)) {
+    throw createError('frequency must be a positive number of seconds');
+  }
+
+  return buildTransaction(
+    'enable_auto_compound',
+    signer,
+    autoCompoundService.readTransaction('enable_auto_compound.cdc'),
+    [ufix64(frequency)]
+  );
+};
+
+const buildDisableAutoCompoundTransaction = (signer) => {
+  return buildTransaction(
+    'disable_auto_compound',
+    signer,
+    autoCompoundService.readTransaction('disable_auto_compound.cdc')
+  );
+};
+
+const buildExecuteCompoundTransaction = (signer) => {
+  return buildTransaction(
+    'execute_compound',
+    signer,
+    autoCompoundService.readTransaction('execute_compound.cdc')
+  );
+};
+
+const BUILDERS = {
+  stake: buildStakeTransaction,
+  unstake: buildUnstakeTransaction,
+  protect_dapper_asset: buildProtectDapperAssetTransaction,
+  enable_auto_compound: buildEnableAutoCompoundTransaction,
+  disable_auto_compound: buildDisableAutoCompoundTransaction,
+  execute_compound: buildExecuteCompoundTransaction
+};
+
+/**
+ * Build the unsigned transaction of a type for the wallet that will sign it
+ * Returns { type, signer, cadence, args: [{ type, value }], limit }
+ */
+const buildUserTransaction = (type, signer, params = {}) => {
+  const builder = BUILDERS[type];
+
+  if (!builder) {
+    throw createError(`Unknown transaction type: ${type}. Must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+  }
+
+  return builder(signer, params);
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  buildUserTransaction
+};
@@ -0,0 +1,316 @@
+const TrackedTransaction = require('../models/TrackedTransaction');
+const Staker = require('../models/Staker');
+const ProtectedAsset = require('../models/ProtectedAsset');
+const { fcl } = require('../config/flow');
+const { normalizeAddress } = require('./walletAuthService');
+const { queryStakerInfo } = require('./flowService');
+const { TRANSACTION_TYPES } = require('./transactionBuilderService');
+const websocketServer = require('./websocketServer');
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check that the wallet reporting a transaction is one of its authorizers
+ */
+const verifyAuthorizer = async (txId, userAddress) => {
+  const transaction = await fcl.send([fcl.getTransaction(txId)]).then(fcl.decode);
+  const authorizers = (transaction.authorizers || []).map(normalizeAddress);
+
+  if (!authorizers.includes(normalizeAddress(userAddress))) {
+    throw createError('Transaction was not authorized by the submitting wallet', 403);
+  }
+};
+
+const updateStaker = async (tracked) => {
+  const stakerInfo = await queryStakerInfo(tracked.userAddress);
+
+  await Staker.findOneAndUpdate(
+    { address: tracked.userAddress },
+    {
+      stakedAmount: parseFloat(stakerInfo.stakedAmount),
+      discount: parseFloat(stakerInfo.discount),
+      lastStakedAt: tracked.sealedAt
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Record the asset a sealed protection transaction protected for the wallet
+ * The asset comes from the contract's DapperAssetProtectedEvent, never from the reported params,
+ * so a transaction without that event protects nothing
+ */
+const recordProtectedAsset = async (tracked) => {
+  const protectedEvent = tracked.events.find(e =>
+    e.type.endsWith('DapperAssetProtection.DapperAssetProtectedEvent') &&
+    e.data && e.data.user && normalizeAddress(e.data.user) === normalizeAddress(tracked.userAddress)
+  );
+
+  if (!protectedEvent || !protectedEvent.data.actionId) {
+    console.warn(`⚠️  Transaction ${tracked.txId} sealed without protecting an asset for ${tracked.userAddress}`);
+    return;
+  }
+
+  const { assetType, assetId, actionId } = protectedEvent.data;
+
+  await ProtectedAsset.findOneAndUpdate(
+    { actionId: String(actionId) },
+    {
+      $setOnInsert: {
+        user: tracked.userAddress,
+        assetType,
+        assetId: String(assetId),
+        actionId: String(actionId),
+        status: 'PROTECTED',
+        protectedAt: tracked.sealedAt
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// What a successfully sealed transaction of each type changes in the database
+const EFFECTS = {
+  stake: updateStaker,
+  unstake: updateStaker,
+  protect_dapper_asset: recordProtectedAsset
+};
+
+// Flow transaction status codes reported by the access node
+const CHAIN_STATUSES = {
+  0: 'pending', // unknown, not yet seen by the access node
+  1: 'pending',
+  2: 'finalized',
+  3: 'executed',
+  4: 'sealed',
+  5: 'expired'
+};
+
+// Statuses the tracker worker still polls
+const ACTIVE_STATUSES = ['pending', 'finalized', 'executed'];
+
+const STATUS_ORDER = ['pending', 'finalized', 'executed', 'sealed', 'expired'];
+
+const TRANSITION_TIMESTAMPS = {
+  finalized: 'finalizedAt',
+  executed: 'executedAt',
+  sealed: 'sealedAt',
+  expired: 'expiredAt'
+};
+
+// Transactions the access node never reports on are given up on after this long
+const TRACKING_TIMEOUT_MS = parseInt(process.env.TRANSACTION_TRACKING_TIMEOUT_MINUTES || '30') * 60 * 1000;
+
+const BATCH_LIMIT = 100;
+
+const mapEvents = (events = []) => events.map(event => ({
+  type: event.type,
+  eventIndex: event.eventIndex,
+  data: event.data
+}));
+
+const broadcastTransition = (tracked) => {
+  websocketServer.broadcastTransactionUpdate(tracked.txId, tracked.status, {
+    type: tracked.type,
+    userAddress: tracked.userAddress,
+    statusCode: tracked.statusCode,
+    errorMessage: tracked.errorMessage,
+    events: tracked.events
+  });
+};
+
+/**
+ * Move a tracked transaction to a status, persist it and push the transition
+ */
+const transition = async (tracked, status, fields = {}) => {
+  tracked.status = status;
+  Object.assign(tracked, fields);
+
+  const timestampField = TRANSITION_TIMESTAMPS[status];
+  if (timestampField && !tracked[timestampField]) {
+    tracked[timestampField] = new Date();
+  }
+
+  await tracked.save();
+  broadcastTransition(tracked);
+  return tracked;
+};
+
+/**
+ * Store the sealed result of a transaction and apply its effects once
+ * Effects are applied before the record leaves the active statuses, so a failure is retried
+ * on the next poll instead of being lost
+ */
+const recordSealed = async (tracked, txStatus) => {
+  Object.assign(tracked, {
+    statusCode: txStatus.statusCode,
+    errorMessage: txStatus.errorMessage || undefined,
+    events: mapEvents(txStatus.events),
+    sealedAt: tracked.sealedAt || new Date()
+  });
+
+  const applyEffects = EFFECTS[tracked.type];
+  if (!tracked.errorMessage && applyEffects && !tracked.effectsAppliedAt) {
+    await applyEffects(tracked);
+    tracked.effectsAppliedAt = new Date();
+  }
+
+  return transition(tracked, 'sealed', { lastCheckedAt: new Date() });
+};
+
+const getChainStatus = (txId) => {
+  return fcl.send([fcl.getTransactionStatus(txId)]).then(fcl.decode);
+};
+
+/**
+ * Check a tracked transaction against the chain and record any status it moved to
+ */
+const refreshTransaction = async (tracked) => {
+  const age = Date.now() - tracked.createdAt.getTime();
+  let txStatus;
+
+  try {
+    txStatus = await getChainStatus(tracked.txId);
+  } catch (error) {
+    if (age > TRACKING_TIMEOUT_MS) {
+      return transition(tracked, 'expired', {
+        errorMessage: `Transaction could not be found: ${error.message}`,
+        lastCheckedAt: new Date()
+      });
+    }
+    throw error;
+  }
+
+  const status = CHAIN_STATUSES[txStatus.status] || 'pending';
+
+  // Statuses only move forward, a lagging access node must not undo a transition
+  if (STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(tracked.status)) {
+    if (txStatus.status === 0 && age > TRACKING_TIMEOUT_MS) {
+      return transition(tracked, 'expired', {
+        errorMessage: 'Transaction was never seen by the access node',
+        lastCheckedAt: new Date()
+      });
+    }
+
+    tracked.lastCheckedAt = new Date();
+    await tracked.save();
+    return tracked;
+  }
+
+  if (status === 'sealed') {
+    return recordSealed(tracked, txStatus);
+  }
+
+  const fields = { lastCheckedAt: new Date() };
+  if (status === 'executed') {
+    fields.statusCode = txStatus.statusCode;
+    fields.errorMessage = txStatus.errorMessage || undefined;
+    fields.events = mapEvents(txStatus.events);
+  }
+  if (status === 'expired') {
+    fields.errorMessage = txStatus.errorMessage || 'Transaction expired before it was executed';
+  }
+
+  return transition(tracked, status, fields);
+};
+
+/**
+ * Poll every transaction that has not sealed or expired yet, oldest first
+ */
+const trackPendingTransactions = async () => {
+  const pending = await TrackedTransaction.find({ status: { $in: ACTIVE_STATUSES } })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_LIMIT);
+
+  const results = [];
+
+  for (const tracked of pending) {
+    const previousStatus = tracked.status;
+
+    try {
+      await refreshTransaction(tracked);
+
+      if (tracked.status !== previousStatus) {
+        results.push({ txId: tracked.txId, from: previousStatus, to: tracked.status });
+      }
+    } catch (error) {
+      console.error(`Failed to refresh tracked transaction ${tracked.txId}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Start following a transaction, returning the existing record when it is already tracked
+ */
+const trackTransaction = async ({ txId, type, userAddress, params }) => {
+  const existing = await TrackedTransaction.findOne({ txId });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    const tracked = await TrackedTransaction.create({ txId, type, userAddress, params });
+    broadcastTransition(tracked);
+    return tracked;
+  } catch (error) {
+    // Tracked concurrently
+    if (error.code === 11000) {
+      return TrackedTransaction.findOne({ txId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Tracked transaction by id
+ */
+const getTrackedTransaction = async (txId) => {
+  const tracked = await TrackedTransaction.findOne({ txId });
+
+  if (!tracked) {
+    throw createError('Transaction is not tracked', 404);
+  }
+
+  return tracked;
+};
+
+/**
+ * Start tracking a transaction a user's wallet signed from a built transaction
+ */
+const submitTransaction = async ({ txId, type, userAddress, params }) => {
+  if (!txId || !/^[0-9a-fA-F]{64}$/.test(txId)) {
+    throw createError('txId must be a 64 character hex transaction id', 400);
+  }
+
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw createError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`, 400);
+  }
+
+  const existing = await TrackedTransaction.findOne({ txId });
+  if (existing) {
+    if (existing.userAddress !== userAddress) {
+      throw createError('Transaction is already tracked for another wallet', 409);
+    }
+    return existing;
+  }
+
+  await verifyAuthorizer(txId, userAddress);
+
+  return trackTransaction({ txId, type, userAddress, params });
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  verifyAuthorizer,
+  trackTransaction,
+  submitTransaction,
+  getTrackedTransaction,
+  refreshTransaction,
+  trackPendingTransactions
+};
@@ -0,0 +1,272 @@
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const TransferAuditLog = require('../models/TransferAuditLog');
+const { checkBackendAuthorization } = require('./scheduledTransferFlowService');
+const { getUnpaidPayments, sumPayments, checkBalance } = require('./scheduledTransferService');
+const { getSpentAmounts, getPolicyViolation } = require('./authorizationPolicyService');
+
+// Transfers in these statuses have exhausted their retries and sit in the dead-letter queue
+const DEAD_LETTER_STATUSES = ['failed', 'partially_completed', 'insufficient_funds'];
+
+const MAX_PAGE_SIZE = 200;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Build the dead-letter query from request filters
+ * failedFrom / failedTo bound the time the transfer was given up on (executedAt)
+ */
+const buildDeadLetterQuery = ({ userAddress, status, reason, failedFrom, failedTo } = {}) => {
+  const query = {
+    status: status ? status : { $in: DEAD_LETTER_STATUSES }
+  };
+
+  if (userAddress) query.userAddress = userAddress;
+  if (reason) query.failureReason = reason;
+
+  if (failedFrom || failedTo) {
+    query.executedAt = {};
+    if (failedFrom) query.executedAt.$gte = new Date(failedFrom);
+    if (failedTo) query.executedAt.$lte = new Date(failedTo);
+  }
+
+  return query;
+};
+
+/**
+ * List dead-lettered transfers, most recently failed first
+ */
+const getFailedTransfers = async (filters = {}, { limit = 50, offset = 0 } = {}) => {
+  const query = buildDeadLetterQuery(filters);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  const [transfers, total] = await Promise.all([
+    ScheduledTransfer.find(query).sort({ executedAt: -1 }).skip(skip).limit(pageSize),
+    ScheduledTransfer.countDocuments(query)
+  ]);
+
+  return {
+    transfers,
+    total,
+    limit: pageSize,
+    offset: skip
+  };
+};
+
+// Replays in a bulk run draw on the same wallet balance per token
+const reservationKey = (transfer) => `${transfer.userAddress}:${transfer.token}`;
+
+/**
+ * Check that a dead-lettered transfer can run again: the backend is still authorized for its token,
+ * every unpaid amount is within the authorized maximum, expiry, recipients and spend limits
+ * of the authorization allow it and the wallet holds enough of the token
+ * reserved tracks amounts already promised to earlier replays of the same wallet and token in a bulk run
+ * A transfer interrupted while submitting may have paid on chain without its transaction being recorded,
+ * so it is only replayed with confirmedNotSubmitted, set by an admin who checked the service account
+ * transactions on chain
+ * Returns the amount the replay will need
+ */
+const validateReplay = async (transfer, reserved = new Map(), { confirmedNotSubmitted = false } = {}) => {
+  if (!DEAD_LETTER_STATUSES.includes(transfer.status)) {
+    throw createError(`Only failed, partially completed or underfunded transfers can be replayed, status is ${transfer.status}`, 400);
+  }
+
+  if (transfer.executionMethod !== 'backend') {
+    throw createError('Only backend-executed transfers can be replayed', 400);
+  }
+
+  if (transfer.failureReason === 'interrupted_submission' && !confirmedNotSubmitted) {
+    throw createError('Transfer was interrupted while submitting a transaction that may have paid on chain, an admin has to check the service account transactions and confirm before replaying it', 409);
+  }
+
+  const authCheck = await checkBackendAuthorization(transfer.userAddress, transfer.token);
+  if (!authCheck.isAuthorized || authCheck.isRevoked) {
+    throw createError(`User has not authorized backend for ${transfer.token} or authorization is revoked`, 400);
+  }
+
+  const payments = getUnpaidPayments(transfer);
+
+  const overLimit = payments.find(p => p.amount > parseFloat(authCheck.maxAmountPerTransfer));
+  if (overLimit) {
+    throw createError(`Transfer amount ${overLimit.amount} exceeds authorized maximum ${authCheck.maxAmountPerTransfer}`, 400);
+  }
+
+  const alreadyReserved = reserved.get(reservationKey(transfer)) || 0;
+  const spent = await getSpentAmounts(transfer.userAddress, transfer.token);
+  const policyViolation = getPolicyViolation(authCheck, payments, {
+    spentToday: spent.spentToday + alreadyReserved,
+    spentThisMonth: spent.spentThisMonth + alreadyReserved
+  });
+  if (policyViolation) {
+    throw createError(policyViolation, 400);
+  }
+
+  const required = sumPayments(payments);
+  const balanceCheck = await checkBalance(transfer.userAddress, alreadyReserved + required, transfer.token);
+
+  if (!balanceCheck.isSufficient) {
+    throw createError(`Insufficient ${transfer.token} balance: ${required} required, ${Math.max(balanceCheck.balance - alreadyReserved, 0)} available`, 400);
+  }
+
+  return required;
+};
+
+const recordAudit = (transfer, { action, outcome, actor, previousStatus, previousError, reason, details }) => {
+  return TransferAuditLog.create({
+    transferId: transfer._id,
+    userAddress: transfer.userAddress,
+    action,
+    outcome,
+    actor: actor.address || 'api-key',
+    actorRole: actor.role || 'user',
+    previousStatus,
+    previousError,
+    reason,
+    details
+  });
+};
+
+/**
+ * Re-validate a dead-lettered transfer and put it back in the queue for immediate execution
+ * Recipients paid by earlier attempts are kept, so only the unpaid ones are paid again
+ * Every attempt is recorded in the audit trail, including rejected ones
+ */
+const replayTransfer = async (transfer, actor, { action = 'replay', reserved, reason, confirmedNotSubmitted = false } = {}) => {
+  const previousStatus = transfer.status;
+  const previousError = transfer.errorMessage;
+  let required;
+
+  try {
+    required = await validateReplay(transfer, reserved, { confirmedNotSubmitted });
+  } catch (error) {
+    await recordAudit(transfer, {
+      action,
+      outcome: 'rejected',
+      actor,
+      previousStatus,
+      previousError,
+      reason,
+      details: { error: error.message }
+    });
+    throw error;
+  }
+
+  // Only requeue if nothing else changed the transfer since it was loaded
+  const requeued = await ScheduledTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: previousStatus },
+    {
+      $set: {
+        status: 'scheduled',
+        retryCount: 0,
+        scheduledDate: new Date()
+      },
+      $unset: {
+        executedAt: '',
+        errorMessage: '',
+        failureReason: ''
+      }
+    },
+    { new: true }
+  );
+
+  if (!requeued) {
+    throw createError('Scheduled transfer changed while being replayed, try again', 409);
+  }
+
+  if (reserved) {
+    reserved.set(reservationKey(transfer), (reserved.get(reservationKey(transfer)) || 0) + required);
+  }
+
+  await recordAudit(transfer, {
+    action,
+    outcome: 'requeued',
+    actor,
+    previousStatus,
+    previousError,
+    reason,
+    details: confirmedNotSubmitted ? { amount: required, confirmedNotSubmitted } : { amount: required }
+  });
+
+  console.log(`🔁 Replayed ${previousStatus} transfer ${transfer._id} (${required} ${transfer.token})`);
+
+  return requeued;
+};
+
+/**
+ * Replay a dead-lettered transfer by id
+ */
+const replayTransferById = async (transferId, actor, options) => {
+  const transfer = await ScheduledTransfer.findById(transferId);
+
+  if (!transfer) {
+    throw createError('Scheduled transfer not found', 404);
+  }
+
+  return replayTransfer(transfer, actor, options);
+};
+
+/**
+ * Replay every transfer that was dead-lettered inside an outage window
+ * With dryRun the transfers are only validated and listed
+ */
+const replayFailedTransfers = async ({ failedFrom, failedTo, userAddress, reason, dryRun = false }, actor, { note } = {}) => {
+  if (!failedFrom || !failedTo) {
+    throw createError('failedFrom and failedTo are required', 400);
+  }
+
+  const from = new Date(failedFrom);
+  const to = new Date(failedTo);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    throw createError('failedFrom and failedTo must be valid dates with failedFrom before failedTo', 400);
+  }
+
+  const transfers = await ScheduledTransfer.find(
+    buildDeadLetterQuery({ userAddress, reason, failedFrom: from, failedTo: to })
+  ).sort({ executedAt: 1 });
+
+  const reserved = new Map();
+  const results = [];
+
+  for (const transfer of transfers) {
+    try {
+      if (dryRun) {
+        const required = await validateReplay(transfer, reserved);
+        reserved.set(reservationKey(transfer), (reserved.get(reservationKey(transfer)) || 0) + required);
+        results.push({ transferId: transfer._id, userAddress: transfer.userAddress, outcome: 'replayable', amount: required, token: transfer.token });
+      } else {
+        await replayTransfer(transfer, actor, { action: 'bulk_replay', reserved, reason: note });
+        results.push({ transferId: transfer._id, userAddress: transfer.userAddress, outcome: 'requeued' });
+      }
+    } catch (error) {
+      results.push({ transferId: transfer._id, userAddress: transfer.userAddress, outcome: 'rejected', error: error.message });
+    }
+  }
+
+  return {
+    dryRun,
+    matched: transfers.length,
+    requeued: results.filter(r => r.outcome === 'requeued').length,
+    rejected: results.filter(r => r.outcome === 'rejected').length,
+    results
+  };
+};
+
+/**
+ * Audit trail of a transfer, newest first
+ */
+const getTransferAuditLog = async (transferId) => {
+  return TransferAuditLog.find({ transferId }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  getFailedTransfers,
+  replayTransfer,
+  replayTransferById,
+  replayFailedTransfers,
+  getTransferAuditLog
+};
@@ -0,0 +1,137 @@
+const { fcl } = require('../config/flow');
+const WalletNonce = require('../models/WalletNonce');
+
+const APP_IDENTIFIER = process.env.FLOW_APP_IDENTIFIER || 'FlowSure';
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000; // 5 minutes
+const MIN_NONCE_LENGTH = 32;
+
+/**
+ * Normalize a Flow address to its lowercase 0x-prefixed form
+ */
+const normalizeAddress = (address) => {
+  if (!address || typeof address !== 'string') {
+    return null;
+  }
+  return fcl.withPrefix(fcl.sansPrefix(address.trim().toLowerCase()));
+};
+
+/**
+ * Build the message a wallet signs (via fcl.currentUser.signUserMessage) to authenticate a request
+ */
+const buildAuthMessage = (address, nonce, timestamp) => {
+  return `${APP_IDENTIFIER}:${normalizeAddress(address)}:${nonce}:${timestamp}`;
+};
+
+/**
+ * Parse a signature header, accepting raw JSON or base64-encoded JSON
+ */
+const parseSignatureHeader = (header) => {
+  try {
+    return JSON.parse(header);
+  } catch (error) {
+    try {
+      return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    } catch (decodeError) {
+      return null;
+    }
+  }
+};
+
+/**
+ * Check that every composite signature was produced by the claimed address
+ */
+const signaturesMatchAddress = (signatures, address) => {
+  return Array.isArray(signatures) &&
+    signatures.length > 0 &&
+    signatures.every(sig => normalizeAddress(sig.addr) === address);
+};
+
+/**
+ * Record a nonce as used. Returns false if it was already consumed (replay)
+ */
+const consumeNonce = async (address, nonce) => {
+  try {
+    await WalletNonce.create({
+      address,
+      nonce: nonce.toLowerCase(),
+      expiresAt: new Date(Date.now() + SIGNATURE_MAX_AGE_MS * 2)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Verify composite user signatures over the auth message against the account's on-chain keys.
+ * FCLCrypto only accepts non-revoked keys and requires the signing keys' weights to reach 1000.
+ */
+const verifyUserSignature = async ({ address, nonce, timestamp, signatures }) => {
+  const normalized = normalizeAddress(address);
+
+  if (!normalized || !nonce || !timestamp) {
+    return { isValid: false, error: 'Wallet address, nonce and timestamp are required' };
+  }
+
+  if (!/^[0-9a-f]+$/i.test(nonce) || nonce.length < MIN_NONCE_LENGTH) {
+    return { isValid: false, error: `Nonce must be a hex string of at least ${MIN_NONCE_LENGTH} characters` };
+  }
+
+  const signedAt = parseInt(timestamp);
+  if (isNaN(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_MAX_AGE_MS) {
+    return { isValid: false, error: 'Signature timestamp is missing or expired' };
+  }
+
+  if (!signaturesMatchAddress(signatures, normalized)) {
+    return { isValid: false, error: 'Signatures do not belong to the wallet address' };
+  }
+
+  const message = Buffer.from(buildAuthMessage(normalized, nonce, signedAt)).toString('hex');
+  const verified = await fcl.AppUtils.verifyUserSignatures(message, signatures);
+
+  if (!verified) {
+    return { isValid: false, error: 'Invalid wallet signature' };
+  }
+
+  return { isValid: true, address: normalized, nonce };
+};
+
+/**
+ * Verify an FCL account proof ({ address, nonce, signatures }) against the account's on-chain keys
+ */
+const verifyAccountProof = async (proof) => {
+  const normalized = normalizeAddress(proof && proof.address);
+
+  if (!normalized || !proof.nonce) {
+    return { isValid: false, error: 'Account proof address and nonce are required' };
+  }
+
+  if (!signaturesMatchAddress(proof.signatures, normalized)) {
+    return { isValid: false, error: 'Signatures do not belong to the wallet address' };
+  }
+
+  const verified = await fcl.AppUtils.verifyAccountProof(APP_IDENTIFIER, {
+    address: normalized,
+    nonce: proof.nonce,
+    signatures: proof.signatures
+  });
+
+  if (!verified) {
+    return { isValid: false, error: 'Invalid account proof' };
+  }
+
+  return { isValid: true, address: normalized, nonce: proof.nonce };
+};
+
+module.exports = {
+  APP_IDENTIFIER,
+  normalizeAddress,
+  buildAuthMessage,
+  parseSignatureHeader,
+  consumeNonce,
+  verifyUserSignature,
+  verifyAccountProof
+};
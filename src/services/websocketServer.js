@@ -158,6 +158,15 @@ class WebSocketServer {
     }, 'retries');
   }
 
+  broadcastAuthorizationWarning(userAddress, warning) {
+    this.broadcast({
+      type: 'authorization_expiring',
+      userAddress,
+      ...warning,
+      timestamp: Date.now()
+    }, 'authorizations');
+  }
+
   getStats() {
     return {
       totalClients: this.wss ? this.wss.clients.size : 0,
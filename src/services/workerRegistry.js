@@ -0,0 +1,219 @@
+const IntervalJob = require('./intervalJob');
+const { processDueTransfers, reconcileStaleTransfers } = require('./scheduledTransferService');
+const { superviseRecurringSeries } = require('./recurringTransferService');
+const { EXPIRY_WARNING_DAYS, warnExpiringAuthorizations } = require('./authorizationPolicyService');
+const { trackPendingTransactions } = require('./transactionTrackerService');
+const flowSchedulerCron = require('./flowSchedulerCron');
+const schedulerService = require('./schedulerService');
+const eventMonitor = require('./eventMonitor');
+const { getWorkerState, setWorkerPaused } = require('./workerStateService');
+
+/**
+ * Registry of background workers so operators can inspect, pause and resume them
+ * Pause state lives in MongoDB and every worker checks it before each run, so pausing
+ * through any instance pauses the worker on all of them
+ */
+class WorkerRegistry {
+  constructor() {
+    this.workers = new Map();
+  }
+
+  register(name, { description, start, stop, getStatus }) {
+    this.workers.set(name, {
+      description,
+      start,
+      stop,
+      getStatus
+    });
+  }
+
+  get(name) {
+    const worker = this.workers.get(name);
+    if (!worker) {
+      const error = new Error(`Unknown worker: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return worker;
+  }
+
+  /**
+   * Start every registered worker on this instance, in registration order
+   */
+  async startAll() {
+    for (const [name, worker] of this.workers) {
+      await worker.start();
+      console.log(`Worker ${name} started`);
+    }
+  }
+
+  /**
+   * Stop every registered worker on this instance
+   */
+  stopAll() {
+    for (const worker of this.workers.values()) {
+      worker.stop();
+    }
+  }
+
+  async pause(name, pausedBy = null) {
+    this.get(name);
+
+    const state = await getWorkerState(name);
+    if (!state.paused) {
+      await setWorkerPaused(name, true, pausedBy);
+      console.log(`⏸️  Worker ${name} paused`);
+    }
+
+    return this.getStatus(name);
+  }
+
+  async resume(name) {
+    this.get(name);
+
+    const state = await getWorkerState(name);
+    if (state.paused) {
+      await setWorkerPaused(name, false);
+      console.log(`▶️  Worker ${name} resumed`);
+    }
+
+    return this.getStatus(name);
+  }
+
+  async getStatus(name) {
+    const worker = this.get(name);
+    const state = await getWorkerState(name);
+
+    return {
+      name,
+      description: worker.description,
+      ...state,
+      ...worker.getStatus()
+    };
+  }
+
+  getAllStatuses() {
+    return Promise.all(Array.from(this.workers.keys()).map(name => this.getStatus(name)));
+  }
+}
+
+// Backend jobs that run on a fixed interval on every instance
+const INTERVAL_JOBS = [
+  {
+    description: 'Executes due backend scheduled transfers every minute',
+    job: new IntervalJob({
+      name: 'scheduled-transfers',
+      label: 'scheduled transfer cron job',
+      intervalMs: 60000, // 1 minute
+      run: async () => {
+        console.log(`\n⏰ [${new Date().toISOString()}] Running scheduled transfer check...`);
+
+        const result = await processDueTransfers();
+        if (result.processed > 0) {
+          console.log(`📊 Cron job completed: ${result.successful} successful, ${result.failed} failed`);
+        }
+
+        return { lastProcessed: result.processed };
+      }
+    })
+  },
+  {
+    description: 'Reconciles scheduled transfers stuck in executing against the chain',
+    job: new IntervalJob({
+      name: 'transfer-reconciler',
+      label: 'transfer reconciler',
+      intervalMs: 120000, // 2 minutes
+      run: async () => {
+        const results = await reconcileStaleTransfers();
+        if (results.length > 0) {
+          console.log(`🔧 Reconciled ${results.length} stuck transfers`);
+        }
+
+        return { lastReconciled: results.length };
+      }
+    })
+  },
+  {
+    description: 'Generates missing recurring instances and applies catch-up policies every 5 minutes',
+    job: new IntervalJob({
+      name: 'recurring-series-supervisor',
+      label: 'recurring series supervisor',
+      intervalMs: 300000, // 5 minutes
+      run: async () => {
+        const results = await superviseRecurringSeries();
+        if (results.length > 0) {
+          console.log(`🔁 Caught up ${results.length} recurring series`);
+        }
+
+        return { lastSupervised: results.length };
+      }
+    })
+  },
+  {
+    description: 'Warns wallets hourly whose backend authorization expires before their scheduled transfers',
+    job: new IntervalJob({
+      name: 'authorization-expiry-warnings',
+      label: 'authorization expiry warnings',
+      intervalMs: 3600000, // 1 hour
+      run: async () => {
+        const warnings = await warnExpiringAuthorizations();
+        if (warnings.length > 0) {
+          console.log(`⏳ Sent ${warnings.length} authorization expiry warning(s)`);
+        }
+
+        return { lastWarned: warnings.length };
+      },
+      getStatus: () => ({ warningDays: EXPIRY_WARNING_DAYS })
+    })
+  },
+  {
+    description: 'Follows tracked Flow transactions to seal or expiry every 10 seconds',
+    job: new IntervalJob({
+      name: 'transaction-tracker',
+      label: 'transaction tracker',
+      intervalMs: 10000, // 10 seconds
+      run: async () => {
+        const results = await trackPendingTransactions();
+        for (const { txId, from, to } of results) {
+          console.log(`🔎 Transaction ${txId}: ${from} → ${to}`);
+        }
+
+        return { lastTransitions: results.length };
+      }
+    })
+  }
+];
+
+const workerRegistry = new WorkerRegistry();
+
+INTERVAL_JOBS.forEach(({ description, job }) => {
+  workerRegistry.register(job.name, {
+    description,
+    start: () => job.start(),
+    stop: () => job.stop(),
+    getStatus: () => job.getStatus()
+  });
+});
+
+workerRegistry.register('flow-scheduler-monitor', {
+  description: 'Monitors Flow-scheduled transfers every 2 minutes',
+  start: () => flowSchedulerCron.startFlowSchedulerMonitor(),
+  stop: () => flowSchedulerCron.stopFlowSchedulerMonitor(),
+  getStatus: () => flowSchedulerCron.getMonitorStatus()
+});
+
+workerRegistry.register('insured-action-scheduler', {
+  description: 'Polls the Scheduler contract for due insured action retries',
+  start: () => schedulerService.start(),
+  stop: () => schedulerService.stop(),
+  getStatus: () => schedulerService.getStatus()
+});
+
+workerRegistry.register('event-monitor', {
+  description: 'Polls Flow for contract events and broadcasts them over WebSocket',
+  start: () => eventMonitor.start(),
+  stop: () => eventMonitor.stop(),
+  getStatus: () => eventMonitor.getStatus()
+});
+
+module.exports = workerRegistry;
@@ -0,0 +1,39 @@
+const WorkerState = require('../models/WorkerState');
+
+/**
+ * Whether operators paused a worker. Checked by the worker on every run, so a pause
+ * applies to every backend instance, not only the one that handled the request
+ */
+const isWorkerPaused = async (name) => {
+  const state = await WorkerState.findOne({ name, paused: true }).lean();
+  return !!state;
+};
+
+/**
+ * Pause state of a worker, not paused when it was never paused
+ */
+const getWorkerState = async (name) => {
+  const state = await WorkerState.findOne({ name }).lean();
+
+  return {
+    paused: !!(state && state.paused),
+    pausedAt: state && state.paused ? state.pausedAt : null,
+    pausedBy: state && state.paused ? state.pausedBy : null
+  };
+};
+
+const setWorkerPaused = async (name, paused, pausedBy = null) => {
+  await WorkerState.findOneAndUpdate(
+    { name },
+    paused
+      ? { $set: { paused: true, pausedAt: new Date(), pausedBy } }
+      : { $set: { paused: false }, $unset: { pausedAt: 1, pausedBy: 1 } },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  isWorkerPaused,
+  getWorkerState,
+  setWorkerPaused
+};